@@ -0,0 +1,19 @@
+CREATE TABLE video_jobs (
+  id TEXT PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL DEFAULT 'upload',
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'processing', 'ready', 'failed')),
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  video_id TEXT,
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 3,
+  error TEXT,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX video_jobs_claim_idx ON video_jobs (status, run_after);
+CREATE INDEX video_jobs_video_idx ON video_jobs (video_id);
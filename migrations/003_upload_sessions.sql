@@ -0,0 +1,18 @@
+CREATE TABLE upload_sessions (
+  id TEXT PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  filename TEXT NOT NULL,
+  mimetype TEXT NOT NULL DEFAULT '',
+  size_bytes BIGINT NOT NULL,
+  offset_bytes BIGINT NOT NULL DEFAULT 0,
+  checksum TEXT,
+  fields JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'uploading'
+    CHECK (status IN ('uploading', 'completed', 'aborted')),
+  job_id TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX upload_sessions_user_idx ON upload_sessions (user_id, created_at DESC);
@@ -0,0 +1,18 @@
+CREATE TABLE direct_uploads (
+  id TEXT PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  s3_key TEXT NOT NULL,
+  s3_upload_id TEXT,
+  filename TEXT NOT NULL,
+  mimetype TEXT NOT NULL DEFAULT '',
+  size_bytes BIGINT NOT NULL,
+  fields JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'finalized', 'aborted')),
+  job_id TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX direct_uploads_user_idx ON direct_uploads (user_id, created_at DESC);
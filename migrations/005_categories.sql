@@ -0,0 +1,36 @@
+CREATE TABLE categories (
+  slug TEXT PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO categories (slug, name, sort_order) VALUES
+  ('film-animation', 'Film & Animation', 10),
+  ('music', 'Music', 20),
+  ('gaming', 'Gaming', 30),
+  ('comedy', 'Comedy', 40),
+  ('entertainment', 'Entertainment', 50),
+  ('education', 'Education', 60),
+  ('science-tech', 'Science & Technology', 70),
+  ('sports', 'Sports', 80),
+  ('news', 'News & Politics', 90),
+  ('people-blogs', 'People & Blogs', 100),
+  ('other', 'Other', 1000);
+
+-- videos.category held free text ('Other'); switch it to slugs
+UPDATE videos v
+SET category = c.slug
+FROM categories c
+WHERE lower(v.category) = lower(c.name) OR lower(v.category) = c.slug;
+
+UPDATE videos
+SET category = 'other'
+WHERE category IS NULL OR category NOT IN (SELECT slug FROM categories);
+
+ALTER TABLE videos ALTER COLUMN category SET DEFAULT 'other';
+ALTER TABLE videos
+  ADD CONSTRAINT videos_category_fkey
+  FOREIGN KEY (category) REFERENCES categories(slug) ON UPDATE CASCADE;
+
+CREATE INDEX videos_category_idx ON videos (category);
@@ -0,0 +1,18 @@
+CREATE TABLE video_media_info (
+  video_id TEXT PRIMARY KEY REFERENCES videos(id) ON DELETE CASCADE,
+  duration_seconds NUMERIC(12,3),
+  container TEXT,
+  size_bytes BIGINT,
+  bitrate BIGINT,
+  has_video BOOLEAN NOT NULL DEFAULT false,
+  width INT,
+  height INT,
+  frame_rate NUMERIC(8,2),
+  video_codec TEXT,
+  pixel_format TEXT,
+  has_audio BOOLEAN NOT NULL DEFAULT false,
+  audio_codec TEXT,
+  audio_channels INT,
+  audio_sample_rate INT,
+  probed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,6 @@
+-- How the HLS output was packaged: 'ts' (MPEG-TS) or 'cmaf' (fMP4 + DASH manifest).
+-- NULL for progressive files (local uploads, raw audio).
+ALTER TABLE videos ADD COLUMN packaging TEXT
+  CHECK (packaging IN ('ts', 'cmaf'));
+
+UPDATE videos SET packaging = 'ts' WHERE filename LIKE '%/master.m3u8';
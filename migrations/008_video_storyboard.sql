@@ -0,0 +1,2 @@
+-- Seek-bar previews: thumbnails.vtt + storyboard/sprite_NNN.jpg next to master.m3u8.
+ALTER TABLE videos ADD COLUMN has_storyboard BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,2 @@
+-- Frames grabbed at ingest that the owner can pick as the thumbnail: [{ "key": ..., "second": ... }]
+ALTER TABLE videos ADD COLUMN thumb_candidates JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,12 @@
+-- Caption / subtitle tracks (WebVTT), one per video + language.
+CREATE TABLE video_captions (
+  video_id TEXT NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+  language TEXT NOT NULL,
+  label TEXT NOT NULL,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  key TEXT NOT NULL,
+  last_cue_end NUMERIC(12,3),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (video_id, language)
+);
@@ -0,0 +1,6 @@
+-- EBU R128 measurement of the uploaded source (before any normalization).
+ALTER TABLE video_media_info
+  ADD COLUMN integrated_loudness NUMERIC(6,2),
+  ADD COLUMN true_peak NUMERIC(6,2),
+  ADD COLUMN loudness_range NUMERIC(6,2),
+  ADD COLUMN loudness_normalized BOOLEAN NOT NULL DEFAULT false;
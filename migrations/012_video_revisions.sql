@@ -0,0 +1,18 @@
+-- Media replacement: videos.revision counts swaps, video_revisions keeps what each
+-- superseded revision looked like (its storage is garbage-collected after the swap).
+ALTER TABLE videos ADD COLUMN revision INT NOT NULL DEFAULT 1;
+
+CREATE TABLE video_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  video_id TEXT NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+  revision INT NOT NULL,
+  filename TEXT NOT NULL,
+  thumb TEXT,
+  thumb_candidates JSONB NOT NULL DEFAULT '[]'::jsonb,
+  packaging TEXT,
+  duration_text TEXT,
+  media_info JSONB,
+  replaced_by_job TEXT UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (video_id, revision)
+);
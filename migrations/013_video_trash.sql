@@ -0,0 +1,5 @@
+-- Soft delete: DELETE /api/videos/:id only stamps deleted_at. Trashed rows are
+-- hidden everywhere and purged (row + storage) after TRASH_RETENTION_DAYS.
+ALTER TABLE videos ADD COLUMN deleted_at TIMESTAMPTZ;
+
+CREATE INDEX videos_deleted_at_idx ON videos (deleted_at) WHERE deleted_at IS NOT NULL;
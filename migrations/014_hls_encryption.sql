@@ -0,0 +1,2 @@
+-- AES-128 HLS encryption (HLS_ENCRYPTION): the per-video key; NULL = plaintext segments.
+ALTER TABLE videos ADD COLUMN hls_key BYTEA;
@@ -0,0 +1,91 @@
+-- Full-text search for /api/videos: one weighted document per video,
+-- title (A) > tags (B) > description (C) > channel + category (D).
+-- Kept up to date by triggers; channel and category renames re-index the videos
+-- they appear in. Every weight uses the 'english' config the queries use
+-- (websearch_to_tsquery('english', ...)), so stemmed terms match channel names too.
+ALTER TABLE videos ADD COLUMN search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION video_search_document(
+  p_title TEXT, p_tags TEXT[], p_description TEXT, p_category TEXT, p_user_id BIGINT
+) RETURNS TSVECTOR LANGUAGE SQL STABLE AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(p_title, '')), 'A') ||
+    setweight(to_tsvector('english', array_to_string(COALESCE(p_tags, ARRAY[]::TEXT[]), ' ')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(p_description, '')), 'C') ||
+    setweight(to_tsvector('english',
+      concat_ws(' ', u.username, p.display_name, c.name, p_category)
+    ), 'D')
+  FROM (SELECT 1) one
+  LEFT JOIN users u ON u.id = p_user_id
+  LEFT JOIN user_profiles p ON p.user_id = p_user_id
+  LEFT JOIN categories c ON c.slug = p_category
+$$;
+
+CREATE OR REPLACE FUNCTION videos_search_vector_trigger() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.search_vector := video_search_document(NEW.title, NEW.tags, NEW.description, NEW.category, NEW.user_id);
+  RETURN NEW;
+END
+$$;
+
+-- only the indexed columns: view counts etc. don't re-index
+CREATE TRIGGER videos_search_vector_update
+  BEFORE INSERT OR UPDATE OF title, tags, description, category, user_id ON videos
+  FOR EACH ROW EXECUTE FUNCTION videos_search_vector_trigger();
+
+-- one function per table: NEW of a users row has no user_id (and vice versa)
+CREATE OR REPLACE FUNCTION videos_search_reindex_user() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE videos
+  SET search_vector = video_search_document(title, tags, description, category, user_id)
+  WHERE user_id = NEW.id;
+  RETURN NULL;
+END
+$$;
+
+CREATE OR REPLACE FUNCTION videos_search_reindex_profile() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE videos
+  SET search_vector = video_search_document(title, tags, description, category, user_id)
+  WHERE user_id = NEW.user_id;
+  RETURN NULL;
+END
+$$;
+
+CREATE OR REPLACE FUNCTION videos_search_reindex_category() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE videos
+  SET search_vector = video_search_document(title, tags, description, category, user_id)
+  WHERE category = NEW.slug;
+  RETURN NULL;
+END
+$$;
+
+-- only actual renames: saving a profile with the same name doesn't re-index
+CREATE TRIGGER users_search_reindex
+  AFTER UPDATE OF username ON users
+  FOR EACH ROW
+  WHEN (OLD.username IS DISTINCT FROM NEW.username)
+  EXECUTE FUNCTION videos_search_reindex_user();
+
+CREATE TRIGGER user_profiles_search_reindex_insert
+  AFTER INSERT ON user_profiles
+  FOR EACH ROW
+  WHEN (NEW.display_name IS NOT NULL)
+  EXECUTE FUNCTION videos_search_reindex_profile();
+
+CREATE TRIGGER user_profiles_search_reindex
+  AFTER UPDATE OF display_name ON user_profiles
+  FOR EACH ROW
+  WHEN (OLD.display_name IS DISTINCT FROM NEW.display_name)
+  EXECUTE FUNCTION videos_search_reindex_profile();
+
+CREATE TRIGGER categories_search_reindex
+  AFTER UPDATE OF name ON categories
+  FOR EACH ROW
+  WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION videos_search_reindex_category();
+
+UPDATE videos SET search_vector = video_search_document(title, tags, description, category, user_id);
+
+CREATE INDEX videos_search_idx ON videos USING GIN (search_vector);
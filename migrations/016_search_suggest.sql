@@ -0,0 +1,8 @@
+-- Autocomplete (/api/search/suggest): trigram indexes serve both the prefix
+-- LIKE 'abc%' lookups and the pg_trgm similarity typo fallback.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX videos_title_trgm_idx ON videos USING GIN (lower(title) gin_trgm_ops)
+  WHERE deleted_at IS NULL AND visibility = 'public' AND asset_scope = 'public';
+CREATE INDEX users_username_trgm_idx ON users USING GIN (lower(username) gin_trgm_ops);
+CREATE INDEX user_profiles_display_name_trgm_idx ON user_profiles USING GIN (lower(display_name) gin_trgm_ops);
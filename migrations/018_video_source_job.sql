@@ -0,0 +1,3 @@
+-- The upload job that created a video: a job that runs again after its insert
+-- (worker died before marking it ready) finds its row instead of adding a second one.
+ALTER TABLE videos ADD COLUMN source_job_id TEXT UNIQUE;
@@ -1,7 +1,83 @@
-export default {
-  async listVideos(req, { q } = {}) {
-    // Later: read from DB and return CloudFront URLs.
-    // Keep same shape as local provider.
-    return [];
-  }
-};
+// server/providers/media.aws.js
+import { s3, uploadsS3Config, s3ObjectUrl } from "../src/aws/s3Client.js";
+import {
+  uploadFileToS3,
+  uploadDirToS3,
+  downloadFileFromS3,
+  deleteFromS3,
+  deletePrefixFromS3,
+  headS3Object,
+  presignGetUrl,
+  listS3Objects,
+  getS3ObjectStream,
+} from "../src/aws/s3Helpers.js";
+
+/**
+ * S3 storage area: one bucket, keys are object keys. Works with any
+ * S3-compatible endpoint (see src/aws/s3Client.js for the client settings).
+ * publicUrl prefers `publicBaseUrl` (CloudFront), then the plain object URL;
+ * keys under `privatePrefix` only ever get presigned URLs.
+ */
+export function createS3Area({ bucket, client = s3, config = uploadsS3Config, publicBaseUrl = "", privatePrefix = "" }) {
+  if (!bucket) throw new Error("createS3Area: missing bucket");
+  const cdn = String(publicBaseUrl || "").replace(/\/$/, "");
+
+  return {
+    remote: true,
+    bucket,
+
+    async put(key, source, { contentType, cacheControl } = {}) {
+      await uploadFileToS3({
+        bucket,
+        key,
+        client,
+        ...(typeof source === "string" ? { filePath: source } : { body: source }),
+        contentType,
+        cacheControl,
+      });
+    },
+
+    async putDir(prefix, dirPath) {
+      await uploadDirToS3({ bucket, dirPath, keyPrefix: prefix, client });
+    },
+
+    async getStream(key, { start, end } = {}) {
+      return getS3ObjectStream({ bucket, key, start, end, client });
+    },
+
+    async download(key, filePath) {
+      await downloadFileFromS3({ bucket, key, filePath, client });
+    },
+
+    async stat(key) {
+      const head = await headS3Object({ bucket, key, client });
+      return head ? { size: head.size, lastModified: head.lastModified, contentType: head.contentType } : null;
+    },
+
+    async delete(key) {
+      await deleteFromS3({ bucket, key, client });
+    },
+
+    async deletePrefix(prefix) {
+      await deletePrefixFromS3({ bucket, prefix, client });
+    },
+
+    list(prefix = "") {
+      return listS3Objects({ bucket, prefix, client });
+    },
+
+    publicUrl(key) {
+      if (!key || (privatePrefix && key.startsWith(privatePrefix))) return null;
+      if (cdn) return `${cdn}/${key}`;
+      return s3ObjectUrl(config, bucket, key);
+    },
+
+    async signedUrl(key, { expiresIn = 3600 } = {}) {
+      return presignGetUrl({ bucket, key, expiresIn, client });
+    },
+
+    localPath() {
+      return null;
+    },
+  };
+}
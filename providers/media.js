@@ -1,4 +1,101 @@
-server/providers/
-  media.local.js
-  media.aws.js
-  media.js
+// server/providers/media.js
+import os from "os";
+import path from "path";
+import { createLocalArea } from "./media.local.js";
+import { createS3Area } from "./media.aws.js";
+import { s3, assetsS3, uploadsS3Config, assetsS3Config } from "../src/aws/s3Client.js";
+
+/**
+ * Storage driver. Routes and jobs never touch fs/S3 for media directly; they
+ * go through one of three areas:
+ *
+ *   media.videos   plain uploaded files      local: DATA_ROOT/videos   aws: uploads bucket
+ *   media.uploads  HLS dirs, caption tracks  local: DATA_ROOT          aws: uploads bucket
+ *   media.thumbs   thumbnails                local: DATA_ROOT/thumbs   aws: assets bucket
+ *                                            (served at /thumbs)       (local when S3_ASSETS_BUCKET is unset)
+ *
+ * Every area implements
+ *   put(key, filePath | Buffer, { contentType, cacheControl })
+ *   putDir(prefix, dirPath)                  upload a whole directory (HLS output)
+ *   getStream(key, { start, end })           Readable, end inclusive
+ *   download(key, filePath)                  filePath appears only once complete
+ *   stat(key)                                { size, lastModified, contentType } | null
+ *   delete(key), deletePrefix(prefix)
+ *   list(prefix)                             async iterable of { key, size, lastModified }
+ *   publicUrl(key, req)                      URL anyone can fetch, or null
+ *   signedUrl(key, { expiresIn })            expiring URL, or null if the backend can't sign
+ *   localPath(key)                           filesystem path, or null for remote areas
+ *   remote                                   true when work files must be uploaded/cleaned up
+ *
+ * VIDEO_SOURCE picks the backend ("local" | "aws"); a new backend is one more
+ * media.<name>.js area factory plus a branch below.
+ *
+ * Media of videos that aren't public lives under PRIVATE_PREFIX (private/hls/...,
+ * private/uploads/..., private/captions/...). publicUrl never answers for those
+ * keys, and the CDN origin / bucket policy must only expose the public prefixes:
+ * a presigned private URL with its query stripped is then a 403, not a
+ * permanent link. Videos changing visibility get their media moved across
+ * (edge copies a CDN already cached under the old keys live out their TTL).
+ */
+
+export const PRIVATE_PREFIX = "private/";
+
+export function isPrivateKey(key) {
+  return String(key || "").startsWith(PRIVATE_PREFIX);
+}
+
+// key under (or out of) PRIVATE_PREFIX: "hls/1/abc" <-> "private/hls/1/abc"
+export function scopedKey(key, isPrivate) {
+  const bare = isPrivateKey(key) ? String(key).slice(PRIVATE_PREFIX.length) : String(key);
+  return isPrivate ? `${PRIVATE_PREFIX}${bare}` : bare;
+}
+
+export function createMediaStorage(env = process.env) {
+  const driver = env.VIDEO_SOURCE || "local";
+  const dataRoot = env.DATA_ROOT || path.join(os.tmpdir(), "mytube");
+
+  const localThumbs = () => createLocalArea({ root: path.join(dataRoot, "thumbs"), urlPath: "/thumbs" });
+
+  if (driver === "aws") {
+    if (!env.S3_UPLOADS_BUCKET) throw new Error("Missing env S3_UPLOADS_BUCKET while VIDEO_SOURCE=aws");
+
+    const uploads = createS3Area({
+      bucket: env.S3_UPLOADS_BUCKET,
+      client: s3,
+      config: uploadsS3Config,
+      publicBaseUrl: env.CDN_UPLOADS_BASE_URL,
+      privatePrefix: PRIVATE_PREFIX,
+    });
+    const thumbs = env.S3_ASSETS_BUCKET
+      ? createS3Area({
+          bucket: env.S3_ASSETS_BUCKET,
+          client: assetsS3,
+          config: assetsS3Config,
+          publicBaseUrl: env.CDN_ASSETS_BASE_URL,
+        })
+      : localThumbs();
+
+    return {
+      driver,
+      videos: uploads,
+      uploads,
+      thumbs,
+      // raw/audio files live under uploads/<userId>/ in the bucket
+      videoKey: (userId, name) => `uploads/${userId}/${name}`,
+      videoKeyPrefix: "uploads/",
+    };
+  }
+
+  if (driver !== "local") throw new Error(`Unknown VIDEO_SOURCE "${driver}" (expected local or aws)`);
+
+  return {
+    driver,
+    videos: createLocalArea({ root: path.join(dataRoot, "videos") }),
+    uploads: createLocalArea({ root: dataRoot }),
+    thumbs: localThumbs(),
+    videoKey: (_userId, name) => name,
+    videoKeyPrefix: "",
+  };
+}
+
+export const media = createMediaStorage();
@@ -1,36 +1,122 @@
+// server/providers/media.local.js
+import fs from "fs";
 import path from "path";
-import fs from "fs/promises";
 
-const DATA_PATH = path.resolve("data/videos.json");
+/**
+ * Local-filesystem storage area: keys are paths relative to `root`.
+ * `urlPath` (e.g. "/thumbs") marks areas express serves statically; everything
+ * else has no public URL and goes through the permission-checked routes.
+ */
+export function createLocalArea({ root, urlPath = null }) {
+  const absRoot = path.resolve(root);
+  fs.mkdirSync(absRoot, { recursive: true });
 
-function baseUrl(req) {
-  return `${req.protocol}://${req.get("host")}`;
-}
-
-export default {
-  async listVideos(req, { q } = {}) {
-    const raw = await fs.readFile(DATA_PATH, "utf-8");
-    let videos = JSON.parse(raw);
-
-    if (q && q.trim()) {
-      const qq = q.toLowerCase();
-      videos = videos.filter(v =>
-        (v.title || "").toLowerCase().includes(qq) ||
-        (v.category || "").toLowerCase().includes(qq)
-      );
+  // key -> absolute path, never outside root
+  function resolveKey(key) {
+    const full = path.resolve(absRoot, String(key || ""));
+    if (full !== absRoot && !full.startsWith(absRoot + path.sep)) {
+      throw new Error(`storage key escapes ${absRoot}: ${key}`);
     }
+    return full;
+  }
 
-    const b = baseUrl(req);
-    return videos.map(v => ({
-      id: v.id,
-      title: v.title,
-      category: v.category || "Other",
-      visibility: v.visibility || "public",
-      thumbUrl: `${b}/thumbs/${v.thumb}`,
-      playbackUrl: `${b}/videos/${v.filename}`,
-      channel: v.channel || "MyTube",
-      views: v.views ?? null,
-      durationText: v.durationText || null,
-    }));
+  async function* walk(dir, prefixKey) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e?.code === "ENOENT") return;
+      throw e;
+    }
+    for (const e of entries) {
+      const full = path.join(dir, e.name);
+      const key = `${prefixKey}${e.name}`;
+      if (e.isDirectory()) yield* walk(full, `${key}/`);
+      else if (e.isFile()) {
+        const st = fs.statSync(full);
+        yield { key, size: st.size, lastModified: st.mtime };
+      }
+    }
   }
-};
+
+  return {
+    remote: false,
+
+    // `source` is a file path or a Buffer/string
+    async put(key, source) {
+      const target = resolveKey(key);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      if (typeof source !== "string") return fs.writeFileSync(target, source);
+      // work files are usually written in place already
+      if (path.resolve(source) !== target) fs.copyFileSync(source, target);
+    },
+
+    async putDir(prefix, dirPath) {
+      const target = resolveKey(prefix);
+      if (path.resolve(dirPath) === target) return;
+      fs.mkdirSync(target, { recursive: true });
+      fs.cpSync(dirPath, target, { recursive: true });
+    },
+
+    async getStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolveKey(key), start != null ? { start, ...(end != null ? { end } : {}) } : {});
+    },
+
+    async download(key, filePath) {
+      const src = resolveKey(key);
+      if (path.resolve(filePath) === src) return;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // same all-or-nothing contract as the S3 area
+      const partPath = `${filePath}.part-${process.pid}-${Date.now()}`;
+      try {
+        fs.copyFileSync(src, partPath);
+        fs.renameSync(partPath, filePath);
+      } catch (e) {
+        fs.rmSync(partPath, { force: true });
+        throw e;
+      }
+    },
+
+    async stat(key) {
+      try {
+        const st = fs.statSync(resolveKey(key));
+        if (!st.isFile()) return null;
+        return { size: st.size, lastModified: st.mtime, contentType: null };
+      } catch (e) {
+        if (e?.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+
+    async delete(key) {
+      if (!key) return;
+      fs.rmSync(resolveKey(key), { force: true });
+    },
+
+    async deletePrefix(prefix) {
+      if (!prefix) return;
+      const target = resolveKey(prefix);
+      if (target === absRoot) throw new Error("refusing to delete the storage root");
+      fs.rmSync(target, { recursive: true, force: true });
+    },
+
+    // prefix is a directory ("hls/" or "") -- local listing can't do partial names
+    list(prefix = "") {
+      const dirKey = prefix && !prefix.endsWith("/") ? `${prefix}/` : prefix;
+      return walk(resolveKey(dirKey), dirKey);
+    },
+
+    publicUrl(key, req) {
+      if (!urlPath || !req) return null;
+      return `${req.protocol}://${req.get("host")}${urlPath}/${key}`;
+    },
+
+    async signedUrl() {
+      return null;
+    },
+
+    localPath(key) {
+      return resolveKey(key);
+    },
+  };
+}
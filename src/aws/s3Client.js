@@ -1,10 +1,95 @@
 import { S3Client } from "@aws-sdk/client-s3";
 import "dotenv/config";
 
-export const s3 = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+/**
+ * S3 clients for AWS or any S3-compatible store (MinIO, localstack, R2, ...).
+ *
+ * The uploads bucket reads S3_*, the assets bucket S3_ASSETS_* and falls back to
+ * the uploads settings, so one S3_ENDPOINT points both at a local MinIO:
+ *
+ *   S3_ENDPOINT / S3_ASSETS_ENDPOINT                  e.g. http://localhost:9000
+ *   S3_FORCE_PATH_STYLE / S3_ASSETS_FORCE_PATH_STYLE  default true with a custom endpoint
+ *   S3_REGION / S3_ASSETS_REGION                      else AWS_REGION / AWS_DEFAULT_REGION
+ *                                                     (us-east-1 for custom endpoints)
+ *   S3_ACCESS_KEY_ID + S3_SECRET_ACCESS_KEY           static keys (S3_ASSETS_* likewise);
+ *                                                     unset = the SDK default chain (AWS_* env,
+ *                                                     shared profile, SSO, container/instance role)
+ */
+
+function flag(raw) {
+  if (raw === undefined || raw === null || raw === "") return undefined;
+  return !["0", "false", "no", "off"].includes(String(raw).trim().toLowerCase());
+}
+
+function readRole(prefix, env) {
+  const keyId = env[`${prefix}ACCESS_KEY_ID`];
+  const secret = env[`${prefix}SECRET_ACCESS_KEY`];
+  return {
+    endpoint: env[`${prefix}ENDPOINT`] || undefined,
+    region: env[`${prefix}REGION`] || undefined,
+    forcePathStyle: flag(env[`${prefix}FORCE_PATH_STYLE`]),
+    credentials:
+      keyId && secret
+        ? {
+            accessKeyId: keyId,
+            secretAccessKey: secret,
+            ...(env[`${prefix}SESSION_TOKEN`] ? { sessionToken: env[`${prefix}SESSION_TOKEN`] } : {}),
+          }
+        : undefined,
+  };
+}
+
+// Resolved settings for "uploads" or "assets"
+export function s3Config(role = "uploads", env = process.env) {
+  const base = readRole("S3_", env);
+  const own = role === "assets" ? readRole("S3_ASSETS_", env) : {};
+
+  const endpoint = own.endpoint || base.endpoint;
+  const region =
+    own.region || base.region || env.AWS_REGION || env.AWS_DEFAULT_REGION || (endpoint ? "us-east-1" : undefined);
+  const forcePathStyle = own.forcePathStyle ?? base.forcePathStyle ?? !!endpoint;
+
+  return {
+    endpoint,
+    region,
+    forcePathStyle,
+    credentials: own.credentials || base.credentials,
+  };
+}
+
+export function makeS3Client(config) {
+  return new S3Client({
+    region: config.region,
+    ...(config.endpoint ? { endpoint: config.endpoint } : {}),
+    ...(config.forcePathStyle ? { forcePathStyle: true } : {}),
+    ...(config.credentials ? { credentials: config.credentials } : {}),
+  });
+}
+
+function sameConfig(a, b) {
+  return (
+    a.endpoint === b.endpoint &&
+    a.region === b.region &&
+    a.forcePathStyle === b.forcePathStyle &&
+    a.credentials?.accessKeyId === b.credentials?.accessKeyId
+  );
+}
+
+export const uploadsS3Config = s3Config("uploads");
+export const assetsS3Config = s3Config("assets");
+
+export const s3 = makeS3Client(uploadsS3Config);
+// one client when both buckets live on the same endpoint/account
+export const assetsS3 = sameConfig(uploadsS3Config, assetsS3Config) ? s3 : makeS3Client(assetsS3Config);
+
+// Unsigned object URL (only useful for public-read buckets)
+export function s3ObjectUrl(config, bucket, key) {
+  if (config.endpoint) {
+    const ep = String(config.endpoint).replace(/\/$/, "");
+    if (config.forcePathStyle) return `${ep}/${bucket}/${key}`;
+    const u = new URL(ep);
+    return `${u.protocol}//${bucket}.${u.host}/${key}`;
+  }
+  if (!config.region) return null;
+  return `https://${bucket}.s3.${config.region}.amazonaws.com/${key}`;
+}
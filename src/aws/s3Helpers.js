@@ -1,17 +1,27 @@
 import fs from "fs";
 import path from "path";
+import { pipeline } from "stream/promises";
 import {
   PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
   DeleteObjectCommand,
   ListObjectsV2Command,
   DeleteObjectsCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
 } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { s3 } from "./s3Client.js";
 
 export function contentTypeForKey(key) {
   const ext = path.extname(key).toLowerCase();
   if (ext === ".m3u8") return "application/vnd.apple.mpegurl";
+  if (ext === ".mpd") return "application/dash+xml";
   if (ext === ".ts") return "video/mp2t";
+  if (ext === ".m4s") return "video/iso.segment";
   if (ext === ".mp4") return "video/mp4";
   if (ext === ".jpg" || ext === ".jpeg") return "image/jpeg";
   if (ext === ".vtt") return "text/vtt";
@@ -36,7 +46,7 @@ function listFilesRecursive(dirPath) {
 }
 
 // Upload everything under dirPath to s3://bucket/keyPrefix/... preserving structure
-export async function uploadDirToS3({ bucket, dirPath, keyPrefix }) {
+export async function uploadDirToS3({ bucket, dirPath, keyPrefix, client = s3 }) {
   const files = listFilesRecursive(dirPath);
   const basePrefix = String(keyPrefix || "").replace(/\/$/, "");
 
@@ -45,9 +55,9 @@ export async function uploadDirToS3({ bucket, dirPath, keyPrefix }) {
     const rel = path.relative(dirPath, filePath).split(path.sep).join("/");
     const key = `${basePrefix}/${rel}`;
 
-    const isPlaylist = rel.toLowerCase().endsWith(".m3u8");
+    const isPlaylist = /\.(m3u8|mpd)$/i.test(rel);
 
-    await s3.send(
+    await client.send(
       new PutObjectCommand({
         Bucket: bucket,
         Key: key,
@@ -61,11 +71,13 @@ export async function uploadDirToS3({ bucket, dirPath, keyPrefix }) {
   }
 }
 
-// Upload a single file (used for thumbs / direct uploads)
+// Upload a single file (used for thumbs / direct uploads); `body` (Buffer/string) instead of filePath works too
 export async function uploadFileToS3({
   bucket,
   key,
   filePath,
+  body,
+  client = s3,
   contentType,
   cacheControl,          // optional override
   contentDisposition,    // optional override
@@ -73,8 +85,8 @@ export async function uploadFileToS3({
   const ct = contentType || contentTypeForKey(key);
 
   // sensible defaults
-  const isPlaylist = String(key).toLowerCase().endsWith(".m3u8");
-  const isSegment  = String(key).toLowerCase().endsWith(".ts");
+  const isPlaylist = /\.(m3u8|mpd)$/i.test(String(key));
+  const isSegment  = /\.(ts|m4s)$/i.test(String(key));
   const isThumb    = /\.(jpg|jpeg)$/i.test(String(key));
   const isMp4      = String(key).toLowerCase().endsWith(".mp4");
 
@@ -92,11 +104,11 @@ export async function uploadFileToS3({
     contentDisposition ??
     (isMp4 ? `inline; filename="${path.basename(key)}"` : undefined);
 
-  await s3.send(
+  await client.send(
     new PutObjectCommand({
       Bucket: bucket,
       Key: key,
-      Body: fs.createReadStream(filePath),
+      Body: body ?? fs.createReadStream(filePath),
       ContentType: ct,
       CacheControl: cc,
       ...(cd ? { ContentDisposition: cd } : {}),
@@ -108,10 +120,10 @@ export async function uploadFileToS3({
 
 
 // Delete a single object
-export async function deleteFromS3({ bucket, key }) {
+export async function deleteFromS3({ bucket, key, client = s3 }) {
   if (!bucket || !key) return;
 
-  await s3.send(
+  await client.send(
     new DeleteObjectCommand({
       Bucket: bucket,
       Key: key,
@@ -120,13 +132,13 @@ export async function deleteFromS3({ bucket, key }) {
 }
 
 // Delete everything under a prefix (useful for HLS folders)
-export async function deletePrefixFromS3({ bucket, prefix }) {
+export async function deletePrefixFromS3({ bucket, prefix, client = s3 }) {
   if (!bucket || !prefix) return;
 
   let token = undefined;
 
   do {
-    const listed = await s3.send(
+    const listed = await client.send(
       new ListObjectsV2Command({
         Bucket: bucket,
         Prefix: prefix,
@@ -136,7 +148,7 @@ export async function deletePrefixFromS3({ bucket, prefix }) {
 
     const objects = (listed.Contents || []).map((o) => ({ Key: o.Key }));
     if (objects.length) {
-      await s3.send(
+      await client.send(
         new DeleteObjectsCommand({
           Bucket: bucket,
           Delete: { Objects: objects, Quiet: true },
@@ -148,9 +160,154 @@ export async function deletePrefixFromS3({ bucket, prefix }) {
   } while (token);
 }
 
+// Every object under a prefix: yields { key, size, lastModified }
+export async function* listS3Objects({ bucket, prefix = "", client = s3 }) {
+  let token = undefined;
+
+  do {
+    const listed = await client.send(
+      new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: token,
+      })
+    );
+
+    for (const o of listed.Contents || []) {
+      if (!o.Key || o.Key.endsWith("/")) continue;
+      yield { key: o.Key, size: Number(o.Size || 0), lastModified: o.LastModified || null };
+    }
+
+    token = listed.IsTruncated ? listed.NextContinuationToken : undefined;
+  } while (token);
+}
+
 export function guessVideoContentType(filename) {
   const ext = path.extname(String(filename || "")).toLowerCase();
   if (ext === ".mp4") return "video/mp4";
   if (ext === ".webm") return "video/webm";
   return "application/octet-stream";
 }
+
+// Download a single object to a local file. Written to a temp name and renamed
+// into place, so filePath only ever exists complete (callers skip existing files).
+export async function downloadFileFromS3({ bucket, key, filePath, client = s3 }) {
+  const resp = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  if (!resp?.Body) throw new Error(`S3 download failed for ${key}`);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const partPath = `${filePath}.part-${process.pid}-${Date.now()}`;
+  try {
+    await pipeline(resp.Body, fs.createWriteStream(partPath));
+    fs.renameSync(partPath, filePath);
+  } catch (e) {
+    fs.rmSync(partPath, { force: true });
+    throw e;
+  }
+  return { bucket, key, filePath };
+}
+
+// Object metadata, or null if it doesn't exist
+export async function headS3Object({ bucket, key, client = s3 }) {
+  try {
+    const r = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    return {
+      size: Number(r.ContentLength || 0),
+      contentType: r.ContentType || null,
+      etag: r.ETag || null,
+      lastModified: r.LastModified || null,
+    };
+  } catch (e) {
+    if (e?.name === "NotFound" || e?.$metadata?.httpStatusCode === 404) return null;
+    throw e;
+  }
+}
+
+// -------------------------
+// Presigned uploads (browser -> S3 directly)
+// -------------------------
+
+// Single PUT. The browser must send the same Content-Type it was signed with.
+export async function presignPutUrl({ bucket, key, contentType, expiresIn = 3600 }) {
+  return getSignedUrl(
+    s3,
+    new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      ...(contentType ? { ContentType: contentType } : {}),
+    }),
+    { expiresIn }
+  );
+}
+
+export async function presignGetUrl({ bucket, key, expiresIn = 3600, client = s3 }) {
+  return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+}
+
+// Readable body of an object; start/end are inclusive byte offsets (HTTP Range semantics)
+export async function getS3ObjectStream({ bucket, key, start, end, client = s3 }) {
+  const range = start != null ? `bytes=${start}-${end != null ? end : ""}` : undefined;
+  const resp = await client.send(
+    new GetObjectCommand({ Bucket: bucket, Key: key, ...(range ? { Range: range } : {}) })
+  );
+  if (!resp?.Body) throw new Error(`S3 get failed for ${key}`);
+  return resp.Body;
+}
+
+export async function createMultipartUpload({ bucket, key, contentType }) {
+  const r = await s3.send(
+    new CreateMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      ...(contentType ? { ContentType: contentType } : {}),
+    })
+  );
+  return r.UploadId;
+}
+
+// One presigned URL per part number (1..partCount)
+export async function presignUploadPartUrls({ bucket, key, uploadId, partCount, expiresIn = 3600 }) {
+  const urls = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    const url = await getSignedUrl(
+      s3,
+      new UploadPartCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+      }),
+      { expiresIn }
+    );
+    urls.push({ partNumber, url });
+  }
+  return urls;
+}
+
+// parts: [{ partNumber, etag }] as reported by the browser (ETag response header of each PUT)
+export async function completeMultipartUpload({ bucket, key, uploadId, parts }) {
+  await s3.send(
+    new CompleteMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: [...parts]
+          .sort((a, b) => a.partNumber - b.partNumber)
+          .map((p) => ({ PartNumber: p.partNumber, ETag: p.etag })),
+      },
+    })
+  );
+}
+
+export async function abortMultipartUpload({ bucket, key, uploadId }) {
+  if (!bucket || !key || !uploadId) return;
+
+  await s3.send(
+    new AbortMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+    })
+  );
+}
@@ -0,0 +1,485 @@
+// server/src/captions.js
+import path from "path";
+import multer from "multer";
+import {
+  isPublicVideo,
+  isStoredPrivate,
+  canWatchVideo,
+  signPlaybackToken,
+  verifyPlaybackToken,
+} from "./playback.js";
+import { scopedKey } from "../providers/media.js";
+
+/**
+ * Caption / subtitle tracks, one per video + language.
+ *
+ *   GET    /api/videos/:id/captions          anyone who can watch the video
+ *   PUT    /api/videos/:id/captions/:lang    owner-only, create or replace
+ *          multipart field "file" (.srt or .vtt) or JSON { content }, plus optional
+ *          label and default ("true"/"1")
+ *   DELETE /api/videos/:id/captions/:lang    owner-only
+ *   GET    /videos/:id/captions/:lang.vtt    the track itself (?token= for non-public videos)
+ *
+ * SRT is converted to WebVTT on the way in. Each upload gets a fresh file name
+ * (<lang>-<ts>.vtt) so CDNs can cache tracks forever.
+ *
+ * HLS videos keep their tracks next to the playlists (<hls prefix>/subs/) with a
+ * one-segment subtitle playlist per language, and master.m3u8 is rewritten with an
+ * EXT-X-MEDIA TYPE=SUBTITLES group so players list them without extra wiring.
+ * Other videos keep them under captions/<userId>/<videoId>/ (private/captions/...
+ * when the video isn't public). Keys live in the media.uploads storage area.
+ * Tracks of non-public videos are only handed out as app URLs with a playback
+ * token (?token=, see playback.js), never as storage URLs.
+ */
+
+const CAPTION_MAX_BYTES = Number(process.env.CAPTION_MAX_BYTES || 2 * 1024 * 1024);
+const SUBTITLE_GROUP = "subs";
+// "en", "pt-BR", "zh-Hant", "es-419"
+const LANGUAGE_RE = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+export function normalizeLanguage(raw) {
+  const tag = String(raw || "").trim().replace(/_/g, "-");
+  if (!LANGUAGE_RE.test(tag)) return null;
+  try {
+    return Intl.getCanonicalLocales(tag)[0];
+  } catch {
+    return null;
+  }
+}
+
+function defaultLabel(language) {
+  try {
+    return languageNames.of(language) || language;
+  } catch {
+    return language;
+  }
+}
+
+// "1:02:03,5" / "01:02:03.500" -> "01:02:03.500"
+function vttTime(h, m, s, ms) {
+  return `${String(h).padStart(2, "0")}:${m}:${s}.${String(ms).padEnd(3, "0").slice(0, 3)}`;
+}
+
+function timeToSeconds(t) {
+  const parts = String(t).split(":").map(Number);
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+/**
+ * SRT or WebVTT text -> WebVTT text.
+ * Returns { vtt, lastCueEnd } or { error } when no valid cue was found.
+ */
+export function toWebVtt(raw) {
+  const text = String(raw || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").trim();
+  if (!text) return { error: "Caption file is empty" };
+
+  const isVtt = /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(text);
+  const timingRe = /^(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})\s*-->\s*(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})(.*)$/;
+  const vttShortRe = /^(\d{2}):(\d{2})\.(\d{3})\s*-->\s*(\d{2}):(\d{2})\.(\d{3})(.*)$/;
+
+  let lastCueEnd = 0;
+  let cueCount = 0;
+
+  if (isVtt) {
+    for (const line of text.split("\n")) {
+      const m = line.match(timingRe);
+      const short = !m && line.match(vttShortRe);
+      if (m) lastCueEnd = Math.max(lastCueEnd, timeToSeconds(`${m[5]}:${m[6]}:${m[7]}.${m[8]}`));
+      else if (short) lastCueEnd = Math.max(lastCueEnd, timeToSeconds(`${short[4]}:${short[5]}.${short[6]}`));
+      if (m || short) cueCount++;
+    }
+    if (!cueCount) return { error: "WebVTT file has no cues" };
+    return { vtt: `${text}\n`, lastCueEnd };
+  }
+
+  // SRT: "<index>\n00:00:01,000 --> 00:00:02,500\ntext..." blocks
+  const out = ["WEBVTT", ""];
+  for (const block of text.split(/\n{2,}/)) {
+    const lines = block.split("\n");
+    const at = lines.findIndex((l) => timingRe.test(l.trim()));
+    if (at < 0) continue;
+
+    const m = lines[at].trim().match(timingRe);
+    const body = lines
+      .slice(at + 1)
+      .map((l) => l.replace(/\{\\[^}]*\}/g, "").replace(/<\/?font[^>]*>/gi, ""))
+      .filter((l) => l.trim() !== "");
+    if (!body.length) continue;
+
+    out.push(`${vttTime(m[1], m[2], m[3], m[4])} --> ${vttTime(m[5], m[6], m[7], m[8])}`);
+    out.push(...body, "");
+    lastCueEnd = Math.max(lastCueEnd, timeToSeconds(`${m[5]}:${m[6]}:${m[7]}.${m[8]}`));
+    cueCount++;
+  }
+
+  if (!cueCount) return { error: "Caption file must be SRT or WebVTT with at least one cue" };
+  return { vtt: out.join("\n"), lastCueEnd };
+}
+
+/**
+ * Rewrite master.m3u8 so it carries exactly `tracks` as the SUBTITLES group.
+ * tracks: [{ language, label, isDefault, uri }]
+ */
+export function withSubtitleGroup(masterText, tracks) {
+  const lines = String(masterText)
+    .split(/\r?\n/)
+    .filter((l) => !(l.startsWith("#EXT-X-MEDIA:") && l.includes("TYPE=SUBTITLES")));
+
+  const media = tracks.map((t) => {
+    const name = String(t.label || t.language).replace(/["\r\n]/g, "");
+    return (
+      `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="${SUBTITLE_GROUP}",NAME="${name}",` +
+      `LANGUAGE="${t.language}",DEFAULT=${t.isDefault ? "YES" : "NO"},` +
+      `AUTOSELECT=YES,FORCED=NO,URI="${t.uri}"`
+    );
+  });
+
+  const out = [];
+  let inserted = false;
+  for (const line of lines) {
+    if (line.startsWith("#EXT-X-STREAM-INF:")) {
+      if (!inserted) {
+        out.push(...media);
+        inserted = true;
+      }
+      const attrs = line.replace(/,SUBTITLES="[^"]*"/, "");
+      out.push(tracks.length ? `${attrs},SUBTITLES="${SUBTITLE_GROUP}"` : attrs);
+      continue;
+    }
+    out.push(line);
+  }
+  return out.join("\n");
+}
+
+function subtitlePlaylist(vttName, durationSeconds) {
+  const d = Math.max(1, Number(durationSeconds) || 1);
+  return [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    `#EXT-X-TARGETDURATION:${Math.ceil(d)}`,
+    "#EXT-X-MEDIA-SEQUENCE:0",
+    "#EXT-X-PLAYLIST-TYPE:VOD",
+    `#EXTINF:${d.toFixed(3)},`,
+    vttName,
+    "#EXT-X-ENDLIST",
+    "",
+  ].join("\n");
+}
+
+function toApiCaption(c, url) {
+  return {
+    language: c.language,
+    label: c.label,
+    isDefault: !!c.is_default,
+    url,
+    createdAt: c.created_at,
+    updatedAt: c.updated_at,
+  };
+}
+
+export function registerCaptions(app, deps = {}) {
+  const {
+    pool,
+    requireAuth,
+    baseUrl,
+    media,
+  } = deps;
+
+  if (!pool) throw new Error("registerCaptions: missing pool");
+  if (!requireAuth) throw new Error("registerCaptions: missing requireAuth");
+  if (!baseUrl) throw new Error("registerCaptions: missing baseUrl");
+  if (!media) throw new Error("registerCaptions: missing media storage");
+
+  const captionUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: CAPTION_MAX_BYTES, files: 1 },
+  });
+
+  // ---- storage (media.uploads) ----
+  async function putText(key, text, contentType) {
+    await media.uploads.put(key, Buffer.from(text, "utf8"), { contentType });
+  }
+
+  async function getText(key) {
+    const chunks = [];
+    for await (const chunk of await media.uploads.getStream(key)) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks).toString("utf8");
+  }
+
+  async function removeKey(key) {
+    if (!key) return;
+    try {
+      await media.uploads.delete(key);
+    } catch (e) {
+      console.warn("caption cleanup failed:", { key, error: e?.message });
+    }
+  }
+
+  function isHls(v) {
+    return String(v.filename || "").endsWith("/master.m3u8");
+  }
+
+  function trackDir(v) {
+    if (isHls(v)) return `${path.posix.dirname(v.filename)}/subs`;
+    return scopedKey(`captions/${v.user_id}/${v.id}`, isStoredPrivate(v));
+  }
+
+  function captionUrl(req, v, c) {
+    const route = `${baseUrl(req)}/videos/${encodeURIComponent(v.id)}/captions/${encodeURIComponent(c.language)}.vtt`;
+    if (!isPublicVideo(v)) return `${route}?token=${signPlaybackToken(v.id).token}`;
+    return media.uploads.publicUrl(c.key, req) || route;
+  }
+
+  async function loadVideo(videoId, { includeTrashed = false } = {}) {
+    const r = await pool.query(
+      `
+      SELECT v.id, v.user_id, v.filename, v.visibility, v.asset_scope, v.deleted_at, m.duration_seconds
+      FROM videos v
+      LEFT JOIN video_media_info m ON m.video_id = v.id::text
+      WHERE v.id::text = $1::text
+        AND ($2 OR v.deleted_at IS NULL)
+      LIMIT 1
+      `,
+      [String(videoId || ""), includeTrashed]
+    );
+    return r.rows[0] || null;
+  }
+
+  async function listTracks(videoId) {
+    const r = await pool.query(
+      `SELECT * FROM video_captions WHERE video_id = $1 ORDER BY is_default DESC, language ASC`,
+      [String(videoId)]
+    );
+    return r.rows;
+  }
+
+  /**
+   * Re-point master.m3u8 at the current tracks (no-op for non-HLS videos).
+   * Also call this after master.m3u8 is regenerated for an existing video.
+   */
+  async function syncCaptionsToMaster(v) {
+    if (!isHls(v)) return;
+
+    const tracks = await listTracks(v.id);
+    const dir = trackDir(v);
+
+    for (const c of tracks) {
+      const vttName = path.posix.basename(c.key);
+      const duration = Math.max(Number(v.duration_seconds) || 0, Number(c.last_cue_end) || 0);
+      await putText(
+        `${dir}/${c.language}.m3u8`,
+        subtitlePlaylist(vttName, duration),
+        "application/vnd.apple.mpegurl"
+      );
+    }
+
+    const master = await getText(v.filename);
+    const next = withSubtitleGroup(
+      master,
+      tracks.map((c) => ({
+        language: c.language,
+        label: c.label,
+        isDefault: c.is_default,
+        uri: `subs/${c.language}.m3u8`,
+      }))
+    );
+    if (next !== master) await putText(v.filename, next, "application/vnd.apple.mpegurl");
+  }
+
+  /**
+   * After a video's media was replaced: move tracks that still live under the old
+   * location (e.g. the old HLS prefix, about to be deleted) next to the new one.
+   */
+  async function rehomeCaptions(videoId) {
+    // trashed videos too: the repackage job moves their media under private/
+    const v = await loadVideo(videoId, { includeTrashed: true });
+    if (!v) return;
+
+    const dir = trackDir(v);
+    for (const c of await listTracks(v.id)) {
+      if (String(c.key).startsWith(`${dir}/`)) continue;
+
+      const key = `${dir}/${c.language}-${Date.now()}.vtt`;
+      await putText(key, await getText(c.key), "text/vtt");
+      await pool.query(
+        `UPDATE video_captions SET key = $3, updated_at = now() WHERE video_id = $1 AND language = $2`,
+        [String(v.id), c.language, key]
+      );
+      await removeKey(c.key);
+    }
+
+    await syncCaptionsToMaster(v);
+  }
+
+  // -------------------------
+  // List
+  // -------------------------
+  app.get("/api/videos/:id/captions", async (req, res) => {
+    try {
+      const v = await loadVideo(req.params.id);
+      if (!v || !canWatchVideo(req, v)) return res.status(404).json({ error: "Video not found" });
+
+      const tracks = await listTracks(v.id);
+      return res.json(tracks.map((c) => toApiCaption(c, captionUrl(req, v, c))));
+    } catch (e) {
+      console.error("GET /api/videos/:id/captions error:", e);
+      return res.status(500).json({ error: "Failed to load captions" });
+    }
+  });
+
+  // -------------------------
+  // Upload / replace
+  // -------------------------
+  app.put(
+    "/api/videos/:id/captions/:lang",
+    requireAuth,
+    (req, res, next) => {
+      captionUpload.single("file")(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "Caption file too large" });
+        return res.status(400).json({ error: err.message || "Bad caption upload" });
+      });
+    },
+    async (req, res) => {
+      try {
+        const v = await loadVideo(req.params.id);
+        if (!v) return res.status(404).json({ error: "Video not found" });
+        if (Number(v.user_id) !== Number(req.user.id)) return res.status(403).json({ error: "Not allowed" });
+
+        const language = normalizeLanguage(req.params.lang);
+        if (!language) return res.status(400).json({ error: "Invalid language tag (e.g. en, pt-BR)" });
+
+        const raw = req.file ? req.file.buffer.toString("utf8") : req.body?.content;
+        if (typeof raw !== "string" || !raw.trim()) {
+          return res.status(400).json({ error: 'Send a caption "file" (SRT/VTT) or { content }' });
+        }
+        if (Buffer.byteLength(raw) > CAPTION_MAX_BYTES) {
+          return res.status(413).json({ error: "Caption file too large" });
+        }
+
+        const parsed = toWebVtt(raw);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const label = String(req.body?.label || "").trim().slice(0, 80) || defaultLabel(language);
+        const isDefault = ["1", "true", "yes"].includes(String(req.body?.default ?? "").toLowerCase());
+
+        const key = `${trackDir(v)}/${language}-${Date.now()}.vtt`;
+        await putText(key, parsed.vtt, "text/vtt");
+
+        const prev = await pool.query(
+          `SELECT key FROM video_captions WHERE video_id = $1 AND language = $2`,
+          [String(v.id), language]
+        );
+
+        if (isDefault) {
+          await pool.query(`UPDATE video_captions SET is_default = false WHERE video_id = $1`, [String(v.id)]);
+        }
+
+        const r = await pool.query(
+          `
+          INSERT INTO video_captions (video_id, language, label, is_default, key, last_cue_end)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (video_id, language)
+          DO UPDATE SET
+            label = EXCLUDED.label,
+            is_default = EXCLUDED.is_default,
+            key = EXCLUDED.key,
+            last_cue_end = EXCLUDED.last_cue_end,
+            updated_at = now()
+          RETURNING *
+          `,
+          [String(v.id), language, label, isDefault, key, parsed.lastCueEnd]
+        );
+
+        const oldKey = prev.rows[0]?.key;
+        if (oldKey && oldKey !== key) await removeKey(oldKey);
+
+        await syncCaptionsToMaster(v);
+
+        return res
+          .status(prev.rows[0] ? 200 : 201)
+          .json({ ok: true, caption: toApiCaption(r.rows[0], captionUrl(req, v, r.rows[0])) });
+      } catch (e) {
+        console.error("PUT /api/videos/:id/captions/:lang error:", e);
+        return res.status(500).json({ error: "Failed to save captions" });
+      }
+    }
+  );
+
+  // -------------------------
+  // Delete
+  // -------------------------
+  app.delete("/api/videos/:id/captions/:lang", requireAuth, async (req, res) => {
+    try {
+      const v = await loadVideo(req.params.id);
+      if (!v) return res.status(404).json({ error: "Video not found" });
+      if (Number(v.user_id) !== Number(req.user.id)) return res.status(403).json({ error: "Not allowed" });
+
+      const language = normalizeLanguage(req.params.lang);
+      if (!language) return res.status(400).json({ error: "Invalid language tag (e.g. en, pt-BR)" });
+
+      const r = await pool.query(
+        `DELETE FROM video_captions WHERE video_id = $1 AND language = $2 RETURNING key`,
+        [String(v.id), language]
+      );
+      if (!r.rows[0]) return res.status(404).json({ error: "Caption track not found" });
+
+      await removeKey(r.rows[0].key);
+      if (isHls(v)) await removeKey(`${trackDir(v)}/${language}.m3u8`);
+      await syncCaptionsToMaster(v);
+
+      return res.json({ ok: true, language });
+    } catch (e) {
+      console.error("DELETE /api/videos/:id/captions/:lang error:", e);
+      return res.status(500).json({ error: "Failed to delete captions" });
+    }
+  });
+
+  // -------------------------
+  // Track file
+  // -------------------------
+  app.get("/videos/:id/captions/:file", async (req, res) => {
+    try {
+      const m = String(req.params.file || "").match(/^(.+)\.vtt$/);
+      const language = m ? normalizeLanguage(m[1]) : null;
+      if (!language) return res.status(404).end("Not found");
+
+      // the owner, anyone for public videos, or a signed ?token= from captionUrl
+      const v = await loadVideo(req.params.id);
+      if (!v || (!canWatchVideo(req, v) && !verifyPlaybackToken(req.query.token, v.id))) {
+        return res.status(404).end("Not found");
+      }
+
+      const r = await pool.query(
+        `SELECT * FROM video_captions WHERE video_id = $1 AND language = $2`,
+        [String(v.id), language]
+      );
+      const c = r.rows[0];
+      if (!c) return res.status(404).end("Not found");
+
+      const direct = isPublicVideo(v) ? media.uploads.publicUrl(c.key, req) : null;
+      if (direct) return res.redirect(302, direct);
+
+      const stat = await media.uploads.stat(c.key);
+      if (!stat) return res.status(404).end("Missing file");
+
+      const body = await media.uploads.getStream(c.key);
+      res.set("Content-Type", "text/vtt; charset=utf-8");
+      res.set("Content-Length", String(stat.size));
+      res.set("Cache-Control", isPublicVideo(v) ? "public, max-age=300" : "private, max-age=300");
+      body.on("error", (e) => {
+        console.error("caption read error:", c.key, e?.message || e);
+        res.destroy(e);
+      });
+      res.on("close", () => body.destroy?.());
+      body.pipe(res);
+    } catch (e) {
+      console.error("GET /videos/:id/captions/:file error:", e);
+      res.status(500).json({ error: "Caption fetch failed" });
+    }
+  });
+
+  return { syncCaptionsToMaster, rehomeCaptions };
+}
@@ -0,0 +1,73 @@
+// server/src/categories.js
+
+/**
+ * Managed video categories (see migrations/005_categories.sql).
+ * videos.category stores the slug; the display name comes from the categories table.
+ */
+
+export const DEFAULT_CATEGORY = "other";
+
+export function registerCategories(app, deps = {}) {
+  const { pool } = deps;
+
+  if (!pool) throw new Error("registerCategories: missing pool");
+
+  /**
+   * "Science & Technology", "science-tech" or "" -> slug.
+   * Returns null when the value doesn't match a known category.
+   */
+  async function resolveCategorySlug(raw) {
+    const value = String(raw ?? "").trim();
+    if (!value) return DEFAULT_CATEGORY;
+
+    const r = await pool.query(
+      `
+      SELECT slug
+      FROM categories
+      WHERE slug = lower($1) OR lower(name) = lower($1)
+      LIMIT 1
+      `,
+      [value]
+    );
+
+    return r.rows[0]?.slug || null;
+  }
+
+  // -------------------------
+  // GET /api/categories
+  // -------------------------
+  app.get("/api/categories", async (_req, res) => {
+    try {
+      const r = await pool.query(
+        `
+        SELECT
+          c.slug,
+          c.name,
+          COUNT(v.id)::int AS video_count
+        FROM categories c
+        LEFT JOIN videos v
+          ON v.category = c.slug
+         AND v.visibility = 'public'
+         AND v.asset_scope = 'public'
+         AND v.media_type = 'video'
+         AND v.deleted_at IS NULL
+        GROUP BY c.slug, c.name, c.sort_order
+        ORDER BY c.sort_order ASC, c.name ASC
+        `
+      );
+
+      res.json(
+        r.rows.map((c) => ({
+          slug: c.slug,
+          name: c.name,
+          videoCount: Number(c.video_count),
+        }))
+      );
+    } catch (e) {
+      console.error("GET /api/categories error:", e);
+      res.status(500).json({ error: "Failed to load categories" });
+    }
+  });
+
+  return { resolveCategorySlug };
+}
@@ -0,0 +1,372 @@
+// server/src/directUploads.js
+import path from "path";
+import { v4 as uuid } from "uuid";
+
+/**
+ * Direct-to-S3 uploads (VIDEO_SOURCE=aws only).
+ *
+ *   POST   /api/uploads/direct               { filename, size, mimetype, ...upload fields }
+ *          -> presigned PUT url (small files) or presigned multipart part urls
+ *   POST   /api/uploads/direct/:id/finalize  { parts?: [{ partNumber, etag }] }
+ *          -> completes the multipart upload, checks + probes the object, queues the "upload" job
+ *   DELETE /api/uploads/direct/:id           abort
+ *
+ * The browser PUTs bytes straight into the uploads bucket under uploads/<userId>/,
+ * so the API server never sits in the upload path; the job worker downloads the raw
+ * object for transcoding. The bucket CORS config must allow PUT from the frontend
+ * origin and expose the ETag header (needed for multipart).
+ *
+ * Presigned PUT/multipart is S3 protocol, so this stays S3-only; reads, probes and
+ * deletes of the finished object go through the media.videos storage area.
+ *
+ * A session expires with its presigned URLs (DIRECT_UPLOAD_URL_TTL_SECONDS) and
+ * can't be finalized after that. The sweeper aborts expired pending sessions every
+ * UPLOAD_SWEEP_MINUTES (default 15) and drops their parts or object;
+ * UPLOAD_SWEEPER=0 turns it off.
+ */
+
+const SINGLE_PUT_MAX_BYTES = Number(process.env.DIRECT_UPLOAD_SINGLE_PUT_MAX_BYTES || 100 * 1024 * 1024);
+const PART_BYTES = Math.max(5 * 1024 * 1024, Number(process.env.DIRECT_UPLOAD_PART_BYTES || 16 * 1024 * 1024));
+const URL_TTL_SECONDS = Number(process.env.DIRECT_UPLOAD_URL_TTL_SECONDS || 3600);
+const SWEEP_MS = Math.max(1, Number(process.env.UPLOAD_SWEEP_MINUTES || 15)) * 60 * 1000;
+// a finalize that started just before expiry still gets to finish
+const SWEEP_GRACE = "1 hour";
+
+function toApiDirectUpload(d) {
+  return {
+    id: d.id,
+    status: d.status,
+    key: d.s3_key,
+    filename: d.filename,
+    size: Number(d.size_bytes),
+    multipart: !!d.s3_upload_id,
+    jobId: d.job_id || null,
+    expiresAt: d.expires_at,
+  };
+}
+
+export function registerDirectUploads(app, deps = {}) {
+  const {
+    pool,
+    requireAuth,
+    VIDEO_SOURCE,
+    VIDEO_DIR,
+    MAX_UPLOAD_BYTES,
+    isAllowedMediaFile,
+    resolveUploadFields,
+    makeStoredFilename,
+    enqueueVideoJob,
+    validateUploadMedia,
+    media,
+    presignPutUrl,
+    createMultipartUpload,
+    presignUploadPartUrls,
+    completeMultipartUpload,
+    abortMultipartUpload,
+  } = deps;
+
+  if (!pool) throw new Error("registerDirectUploads: missing pool");
+  if (!requireAuth) throw new Error("registerDirectUploads: missing requireAuth");
+  if (!VIDEO_DIR) throw new Error("registerDirectUploads: missing VIDEO_DIR");
+  if (!MAX_UPLOAD_BYTES) throw new Error("registerDirectUploads: missing MAX_UPLOAD_BYTES");
+  if (!isAllowedMediaFile) throw new Error("registerDirectUploads: missing isAllowedMediaFile");
+  if (!resolveUploadFields) throw new Error("registerDirectUploads: missing resolveUploadFields");
+  if (!makeStoredFilename) throw new Error("registerDirectUploads: missing makeStoredFilename");
+  if (!enqueueVideoJob) throw new Error("registerDirectUploads: missing enqueueVideoJob");
+  if (!validateUploadMedia) throw new Error("registerDirectUploads: missing validateUploadMedia");
+  if (!media) throw new Error("registerDirectUploads: missing media storage");
+  if (!presignPutUrl || !createMultipartUpload || !presignUploadPartUrls) {
+    throw new Error("registerDirectUploads: missing presign helpers");
+  }
+  if (!completeMultipartUpload || !abortMultipartUpload) {
+    throw new Error("registerDirectUploads: missing S3 helpers");
+  }
+
+  function requireAwsMode(_req, res, next) {
+    if (VIDEO_SOURCE !== "aws" || !media.videos.bucket) {
+      return res.status(404).json({ error: "Direct uploads need VIDEO_SOURCE=aws and S3_UPLOADS_BUCKET" });
+    }
+    next();
+  }
+
+  async function loadOwnDirectUpload(req, res) {
+    const r = await pool.query(`SELECT * FROM direct_uploads WHERE id = $1 LIMIT 1`, [
+      String(req.params.id || ""),
+    ]);
+    const d = r.rows[0];
+    if (!d || Number(d.user_id) !== Number(req.user.id)) {
+      res.status(404).json({ error: "Upload not found" });
+      return null;
+    }
+    return d;
+  }
+
+  async function jobStatus(jobId) {
+    if (!jobId) return "queued";
+    const r = await pool.query(`SELECT status FROM video_jobs WHERE id = $1`, [String(jobId)]);
+    return r.rows[0]?.status || "queued";
+  }
+
+  async function discardUpload(d) {
+    if (d.s3_upload_id) {
+      await abortMultipartUpload({ bucket: media.videos.bucket, key: d.s3_key, uploadId: d.s3_upload_id });
+    } else {
+      await media.videos.delete(d.s3_key);
+    }
+  }
+
+  // -------------------------
+  // Create + presign
+  // -------------------------
+  app.post("/api/uploads/direct", requireAuth, requireAwsMode, async (req, res) => {
+    try {
+      const userId = Number(req.user.id);
+      const bucket = media.videos.bucket;
+
+      const filename = String(req.body?.filename || "").trim();
+      const mimetype = String(req.body?.mimetype || "").trim();
+      const size = Number(req.body?.size);
+
+      if (!filename) return res.status(400).json({ error: "filename is required" });
+      if (!Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({ error: "size must be a positive integer (bytes)" });
+      }
+      if (size > MAX_UPLOAD_BYTES) return res.status(413).json({ error: "File too large" });
+
+      const file = { mimetype, originalname: filename };
+      if (!isAllowedMediaFile(file)) {
+        return res.status(400).json({ error: "Only video/audio files allowed" });
+      }
+
+      const { error, fields } = await resolveUploadFields(req.body, file);
+      if (error) return res.status(400).json({ error });
+
+      const id = uuid();
+      const key = media.videoKey(userId, makeStoredFilename(filename));
+      const contentType = mimetype || "application/octet-stream";
+
+      let uploadId = null;
+      let putUrl = null;
+      let parts = [];
+
+      if (size <= SINGLE_PUT_MAX_BYTES) {
+        putUrl = await presignPutUrl({ bucket, key, contentType, expiresIn: URL_TTL_SECONDS });
+      } else {
+        const partCount = Math.ceil(size / PART_BYTES);
+        uploadId = await createMultipartUpload({ bucket, key, contentType });
+        parts = await presignUploadPartUrls({
+          bucket,
+          key,
+          uploadId,
+          partCount,
+          expiresIn: URL_TTL_SECONDS,
+        });
+      }
+
+      const r = await pool.query(
+        `
+        INSERT INTO direct_uploads (
+          id, user_id, s3_key, s3_upload_id, filename, mimetype, size_bytes, fields, expires_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, now() + ($9 || ' seconds')::interval)
+        RETURNING *
+        `,
+        [id, userId, key, uploadId, filename, contentType, size, JSON.stringify(fields), URL_TTL_SECONDS]
+      );
+
+      console.log(`[direct-upload ${id}] created`, { key, size, multipart: !!uploadId });
+
+      return res.status(201).json({
+        ...toApiDirectUpload(r.rows[0]),
+        contentType,
+        ...(putUrl ? { putUrl } : { partSize: PART_BYTES, parts }),
+      });
+    } catch (e) {
+      console.error("POST /api/uploads/direct error:", e);
+      return res.status(500).json({ error: "Failed to create direct upload" });
+    }
+  });
+
+  // -------------------------
+  // Finalize -> queue the upload job
+  // -------------------------
+  app.post("/api/uploads/direct/:id/finalize", requireAuth, requireAwsMode, async (req, res) => {
+    try {
+      const d = await loadOwnDirectUpload(req, res);
+      if (!d) return;
+
+      const userId = Number(req.user.id);
+      const bucket = media.videos.bucket;
+
+      if (d.status === "finalized") {
+        return res.status(202).json({ ok: true, jobId: d.job_id, status: await jobStatus(d.job_id) });
+      }
+      if (d.status !== "pending") return res.status(409).json({ error: `Upload is ${d.status}` });
+      if (new Date(d.expires_at).getTime() < Date.now()) {
+        return res.status(410).json({ error: "Upload expired" });
+      }
+
+      // never let a session point outside the owner's prefix
+      if (!String(d.s3_key).startsWith(media.videoKey(userId, ""))) {
+        return res.status(403).json({ error: "Not allowed" });
+      }
+
+      if (d.s3_upload_id) {
+        const parts = (Array.isArray(req.body?.parts) ? req.body.parts : [])
+          .map((p) => ({ partNumber: Number(p?.partNumber), etag: String(p?.etag || "") }))
+          .filter((p) => Number.isInteger(p.partNumber) && p.partNumber > 0 && p.etag);
+
+        if (!parts.length) {
+          return res.status(400).json({ error: "parts [{ partNumber, etag }] required for multipart uploads" });
+        }
+
+        try {
+          await completeMultipartUpload({ bucket, key: d.s3_key, uploadId: d.s3_upload_id, parts });
+        } catch (e) {
+          console.error(`[direct-upload ${d.id}] complete multipart failed:`, e?.message || e);
+          return res.status(400).json({ error: "Could not complete multipart upload (missing or bad parts)" });
+        }
+      }
+
+      const head = await media.videos.stat(d.s3_key);
+      if (!head) return res.status(409).json({ error: "Uploaded object not found" });
+      if (head.size !== Number(d.size_bytes)) {
+        return res.status(400).json({
+          error: "Uploaded object size mismatch",
+          expected: Number(d.size_bytes),
+          actual: head.size,
+        });
+      }
+
+      // ffprobe/ffmpeg read the object over a short-lived presigned GET (range requests)
+      const probeUrl = await media.videos.signedUrl(d.s3_key, { expiresIn: 900 });
+      const checked = await validateUploadMedia(probeUrl, { mediaType: d.fields?.mediaType });
+      if (!checked.ok) {
+        await pool.query(
+          `UPDATE direct_uploads SET status = 'aborted', updated_at = now() WHERE id = $1 AND status = 'pending'`,
+          [d.id]
+        );
+        await media.videos.delete(d.s3_key).catch(() => {});
+        console.log(`[direct-upload ${d.id}] rejected`, checked.body);
+        return res.status(checked.status).json(checked.body);
+      }
+
+      const claim = await pool.query(
+        `
+        UPDATE direct_uploads
+        SET status = 'finalized', updated_at = now()
+        WHERE id = $1 AND status = 'pending'
+        RETURNING id
+        `,
+        [d.id]
+      );
+      if (!claim.rows[0]) return res.status(409).json({ error: "Upload already finalized" });
+
+      const sourceFilename = path.posix.basename(d.s3_key);
+
+      const job = await enqueueVideoJob({
+        userId,
+        kind: "upload",
+        payload: {
+          sourceKey: d.s3_key,
+          sourcePath: path.join(VIDEO_DIR, sourceFilename),
+          sourceFilename,
+          mimetype: d.mimetype || "",
+          originalname: d.filename,
+          ...(d.fields || {}),
+        },
+      });
+
+      await pool.query(`UPDATE direct_uploads SET job_id = $2, updated_at = now() WHERE id = $1`, [
+        d.id,
+        job.id,
+      ]);
+
+      console.log(`[direct-upload ${d.id}] finalized -> job ${job.id}`);
+      return res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+    } catch (e) {
+      console.error("POST /api/uploads/direct/:id/finalize error:", e);
+      return res.status(500).json({ error: "Failed to finalize upload" });
+    }
+  });
+
+  // -------------------------
+  // Abort
+  // -------------------------
+  app.delete("/api/uploads/direct/:id", requireAuth, requireAwsMode, async (req, res) => {
+    try {
+      const d = await loadOwnDirectUpload(req, res);
+      if (!d) return;
+
+      if (d.status !== "pending") return res.status(409).json({ error: `Upload is ${d.status}` });
+
+      await pool.query(
+        `UPDATE direct_uploads SET status = 'aborted', updated_at = now() WHERE id = $1`,
+        [d.id]
+      );
+
+      try {
+        await discardUpload(d);
+      } catch (e) {
+        console.warn(`[direct-upload ${d.id}] abort cleanup failed:`, e?.message || e);
+      }
+
+      return res.json({ ok: true, id: d.id });
+    } catch (e) {
+      console.error("DELETE /api/uploads/direct/:id error:", e);
+      return res.status(500).json({ error: "Failed to abort upload" });
+    }
+  });
+
+  // -------------------------
+  // Sweeper
+  // -------------------------
+  let timer = null;
+  let busy = false;
+
+  async function sweep() {
+    if (busy) return;
+    busy = true;
+
+    try {
+      const r = await pool.query(
+        `
+        UPDATE direct_uploads
+        SET status = 'aborted', updated_at = now()
+        WHERE status = 'pending' AND expires_at < now() - $1::interval
+        RETURNING *
+        `,
+        [SWEEP_GRACE]
+      );
+
+      for (const d of r.rows) {
+        try {
+          await discardUpload(d);
+        } catch (e) {
+          // storageGc picks up whatever is left once the row is no longer live
+          console.warn(`[direct-upload ${d.id}] expired cleanup failed:`, e?.message || e);
+        }
+      }
+      if (r.rows.length) console.log(`[direct-upload] aborted ${r.rows.length} expired session(s)`);
+    } catch (e) {
+      console.error("[direct-upload] sweep error:", e?.message || e);
+    } finally {
+      busy = false;
+    }
+  }
+
+  function startDirectUploadSweeper() {
+    if (timer) return;
+    if (VIDEO_SOURCE !== "aws" || !media.videos.bucket) return;
+    if (process.env.UPLOAD_SWEEPER === "0") {
+      console.log("[direct-upload] sweeper disabled (UPLOAD_SWEEPER=0)");
+      return;
+    }
+
+    timer = setInterval(sweep, SWEEP_MS);
+    console.log(`[direct-upload] sweeper started (every ${SWEEP_MS / 60000}min)`);
+    sweep();
+  }
+
+  return { startDirectUploadSweeper };
+}
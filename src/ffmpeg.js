@@ -0,0 +1,52 @@
+// server/src/ffmpeg.js
+import { spawn } from "child_process";
+
+/**
+ * The one way we run ffmpeg/ffprobe (or any other CLI tool).
+ *
+ * stdout is kept whole (ffprobe JSON); stderr only its last MAX_STDERR
+ * characters, so a chatty encode can't grow memory without bound -- loudnorm
+ * and friends print what we parse at the end. A non-zero exit rejects with the
+ * stderr tail as the message and `exitCode`/`stderr` on the error; a spawn
+ * failure (binary missing) rejects without `exitCode`.
+ */
+
+const MAX_STDERR = 20000;
+
+// -> { out, err, ms }
+export function runCmd(cmd, args, { cwd } = {}) {
+  const printable = args.map((a) => JSON.stringify(a)).join(" ");
+  console.log(`RUN: ${cmd} ${printable}${cwd ? ` (cwd=${cwd})` : ""}`);
+
+  return new Promise((resolve, reject) => {
+    const start = Date.now();
+    const p = spawn(cmd, args, { windowsHide: true, ...(cwd ? { cwd } : {}) });
+
+    let out = "";
+    let err = "";
+
+    p.stdout.on("data", (d) => (out += d.toString()));
+    p.stderr.on("data", (d) => (err = (err + d.toString()).slice(-MAX_STDERR)));
+
+    p.on("error", reject);
+    p.on("close", (code, signal) => {
+      const ms = Date.now() - start;
+      if (code === 0) return resolve({ out, err, ms });
+
+      const e = new Error(err || `${cmd} exited with code ${code}${signal ? ` (${signal})` : ""}`);
+      e.exitCode = code;
+      e.stderr = err;
+      reject(e);
+    });
+  });
+}
+
+export function runFfmpeg(args, opts) {
+  return runCmd("ffmpeg", args, opts);
+}
+
+// round to an even pixel count (>= 2), as yuv420p scaling needs
+export function even(n) {
+  const v = Math.max(2, Math.round(n));
+  return v % 2 === 0 ? v : v - 1;
+}
@@ -3,15 +3,19 @@ import fs from "fs";
 import path from "path";
 import os from "os";
 import crypto from "crypto";
-import { spawn } from "child_process";
-import { pipeline } from "stream/promises";
+import { probeMediaInfo, formatDurationText, saveMediaInfo } from "./mediaProbe.js";
 import {
-  GetObjectCommand,
-  ListObjectsV2Command,
-  PutObjectCommand,
-  S3Client,
-} from "@aws-sdk/client-s3";
-import { s3 } from "./aws/s3Client.js";
+  resolvePackaging,
+  DASH_MANIFEST_NAME,
+  hlsEncryptionFor,
+  createHlsKey,
+  finalizeHlsEncryption,
+  discardHlsKey,
+  restoreHlsKey,
+} from "./hls.js";
+import { measureLoudness, loudnormFilter, parseNormalizeFlag, saveLoudness } from "./loudness.js";
+import { scopedKey } from "../providers/media.js";
+import { runCmd, runFfmpeg } from "./ffmpeg.js";
 
 /* ============================================================
    GLOBAL ERROR TRAPS
@@ -25,52 +29,14 @@ process.on("uncaughtException", (err) => {
 });
 
 /* ============================================================
-   UTIL: run external command (MEMORY SAFE)
+   UTIL: ffmpeg guardrail
 ============================================================ */
-function runCmd(cmd, args, { cwd } = {}) {
-  const printable = args.map((a) => JSON.stringify(a)).join(" ");
-  console.log(`▶️ Running: ${cmd} ${printable}${cwd ? ` (cwd=${cwd})` : ""}`);
-
-  const MAX_CAPTURE = 20000;
-
-  function appendCapped(prev, next) {
-    const s = prev + next;
-    if (s.length <= MAX_CAPTURE) return s;
-    return s.slice(s.length - MAX_CAPTURE);
-  }
-
-  return new Promise((resolve, reject) => {
-    const start = Date.now();
-    const p = spawn(cmd, args, { windowsHide: true, cwd });
-
-    let out = "";
-    let err = "";
-
-    p.stdout.on("data", (d) => (out = appendCapped(out, d.toString())));
-    p.stderr.on("data", (d) => (err = appendCapped(err, d.toString())));
-
-    p.on("error", (e) => reject(e));
-
-    p.on("close", (code, signal) => {
-      const ms = Date.now() - start;
-      console.log(`⏱ ${cmd} exited code=${code} signal=${signal} in ${ms}ms`);
-
-      if (code === 0) return resolve({ out, err, ms });
-
-      console.error(`❌ ${cmd} FAILED`);
-      console.error("stderr (tail):");
-      console.error(String(err || "").slice(-2000));
-      reject(new Error(err || `${cmd} exited with code ${code}`));
-    });
-  });
-}
-
 /**
  * Guardrail wrapper:
  * If someone ever passes both -filter_complex AND -vf/-af/-filter to ffmpeg,
  * we hard-fail BEFORE spawning so you see exactly where it came from.
  */
-function runFfmpeg(args, opts) {
+function runCheckedFfmpeg(args, opts) {
   const hasFilterComplex = args.includes("-filter_complex");
   const hasSimpleFilter =
     args.includes("-vf") ||
@@ -88,7 +54,7 @@ function runFfmpeg(args, opts) {
     throw new Error(msg);
   }
 
-  return runCmd("ffmpeg", args, opts);
+  return runFfmpeg(args, opts);
 }
 
 function clamp(n, min, max) {
@@ -148,6 +114,9 @@ function timelineDurationSeconds(videoClips) {
 async function hasAudioStream(inputPath) {
   try {
     const { out } = await runCmd("ffprobe", [
+      ...(String(inputPath).endsWith(".m3u8")
+        ? ["-protocol_whitelist", "file,crypto,data", "-allowed_extensions", "ALL"]
+        : []),
       "-v",
       "error",
       "-select_streams",
@@ -165,121 +134,19 @@ async function hasAudioStream(inputPath) {
 }
 
 /* ============================================================
-   S3 HELPERS
+   STORAGE HELPERS
 ============================================================ */
-async function downloadS3ToFile({ bucket, key, outPath }) {
-  console.log("⬇️ S3 download:", { bucket, key, outPath });
-  const resp = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
-  if (!resp?.Body) throw new Error(`S3 download failed for ${key}`);
-  await pipeline(resp.Body, fs.createWriteStream(outPath));
-  return outPath;
-}
-
-async function downloadS3PrefixToDir({ bucket, prefix, outDir }) {
-  console.log("⬇️ S3 download prefix:", { bucket, prefix, outDir });
+async function downloadPrefixToDir(area, { prefix, outDir }) {
+  console.log("⬇️ storage download prefix:", { prefix, outDir });
   fs.mkdirSync(outDir, { recursive: true });
-  let ContinuationToken = undefined;
-
-  while (true) {
-    const listed = await s3.send(
-      new ListObjectsV2Command({
-        Bucket: bucket,
-        Prefix: prefix,
-        ContinuationToken,
-      })
-    );
-
-    const items = listed?.Contents || [];
-    for (const obj of items) {
-      const k = obj.Key;
-      if (!k || k.endsWith("/")) continue;
-
-      const rel = k.slice(prefix.length);
-      const localPath = path.join(outDir, rel);
-      fs.mkdirSync(path.dirname(localPath), { recursive: true });
-
-      await downloadS3ToFile({ bucket, key: k, outPath: localPath });
-    }
-
-    if (!listed.IsTruncated) break;
-    ContinuationToken = listed.NextContinuationToken;
-  }
-}
-
-function contentTypeForExt(ext) {
-  const e = String(ext || "").toLowerCase();
-  if (e === ".m3u8") return "application/vnd.apple.mpegurl";
-  if (e === ".ts") return "video/mp2t";
-  if (e === ".mp4") return "video/mp4";
-  if (e === ".m4s") return "video/iso.segment";
-  if (e === ".jpg" || e === ".jpeg") return "image/jpeg";
-  if (e === ".png") return "image/png";
-  return "application/octet-stream";
-}
-
-function listFilesRecursive(dir) {
-  const out = [];
-  const stack = [dir];
-  while (stack.length) {
-    const cur = stack.pop();
-    const entries = fs.readdirSync(cur, { withFileTypes: true });
-    for (const ent of entries) {
-      const p = path.join(cur, ent.name);
-      if (ent.isDirectory()) stack.push(p);
-      else if (ent.isFile()) out.push(p);
-    }
-  }
-  return out;
-}
 
-async function uploadDirToS3({ uploadFileToS3, bucket, localDir, keyPrefix }) {
-  console.log("⬆️ Upload dir to S3:", { bucket, localDir, keyPrefix });
-  const files = listFilesRecursive(localDir);
-  for (const filePath of files) {
-    const rel = path.relative(localDir, filePath).split(path.sep).join("/");
-    const key = `${keyPrefix.replace(/\/+$/g, "")}/${rel}`;
-    const ext = path.extname(filePath);
-    await uploadFileToS3({
-      bucket,
-      key,
-      filePath,
-      contentType: contentTypeForExt(ext),
-    });
+  for await (const obj of area.list(prefix)) {
+    const rel = obj.key.slice(prefix.length);
+    if (!rel) continue;
+    await area.download(obj.key, path.join(outDir, rel));
   }
 }
 
-function makeAssetsS3Client() {
-  const region =
-    process.env.S3_ASSETS_REGION ||
-    process.env.AWS_REGION ||
-    process.env.AWS_DEFAULT_REGION;
-
-  if (!region) {
-    throw new Error("Missing env S3_ASSETS_REGION (or AWS_REGION) for assets bucket uploads");
-  }
-
-  const endpoint = process.env.S3_ASSETS_ENDPOINT || undefined;
-
-  return new S3Client({
-    region,
-    ...(endpoint ? { endpoint } : {}),
-  });
-}
-
-async function uploadFileToAssetsBucket({ assetsS3, bucket, key, filePath, contentType }) {
-  console.log("⬆️ Upload thumb to assets bucket:", { bucket, key, filePath });
-  const Body = fs.createReadStream(filePath);
-  await assetsS3.send(
-    new PutObjectCommand({
-      Bucket: bucket,
-      Key: key,
-      Body,
-      ContentType: contentType,
-      CacheControl: "public, max-age=31536000, immutable",
-    })
-  );
-}
-
 /* ============================================================
    FFMPEG FILTER GRAPH (HLS render only)
 ============================================================ */
@@ -426,10 +293,13 @@ function resolveHlsPlaylistForThumbnail(localMasterPath) {
 
 async function tryMakeThumbFromHls({ playlistPath, outJpgPath, seconds }) {
   // IMPORTANT: -ss after -i for HLS/TS reliability
-  await runFfmpeg([
+  await runCheckedFfmpeg([
     "-y",
     "-hide_banner",
     "-loglevel", "error",
+    // encrypted output reads its key from a local file:// URI
+    "-protocol_whitelist", "file,crypto,data",
+    "-allowed_extensions", "ALL",
     "-i", playlistPath,
     "-ss", String(seconds),
     "-an",
@@ -455,11 +325,12 @@ function fileBigEnough(p, minBytes = 1500) {
    MAIN ROUTE
 ============================================================ */
 export function registerGeneratePublish(app, deps = {}) {
-  const { pool, requireAuth, uploadFileToS3 } = deps;
+  const { pool, requireAuth, resolveCategorySlug, media } = deps;
 
   if (!pool) throw new Error("registerGeneratePublish: missing pool");
   if (!requireAuth) throw new Error("registerGeneratePublish: missing requireAuth");
-  if (!uploadFileToS3) throw new Error("registerGeneratePublish: missing uploadFileToS3");
+  if (!resolveCategorySlug) throw new Error("registerGeneratePublish: missing resolveCategorySlug");
+  if (!media) throw new Error("registerGeneratePublish: missing media storage");
 
   app.post("/api/generate/publish", requireAuth, async (req, res) => {
     const requestStart = Date.now();
@@ -483,7 +354,11 @@ export function registerGeneratePublish(app, deps = {}) {
     fs.mkdirSync(inputDir, { recursive: true });
     fs.mkdirSync(outDir, { recursive: true });
 
+    // AES-128 key while rendering encrypted HLS (see hls.js)
+    let hlsKey = null;
+
     const cleanup = () => {
+      discardHlsKey(hlsKey);
       try {
         fs.rmSync(tmpRoot, { recursive: true, force: true });
       } catch (e) {
@@ -509,9 +384,11 @@ export function registerGeneratePublish(app, deps = {}) {
         title,
         description = "",
         tags = "",
+        category = "",
         visibility = "public",
         timelineName = "Timeline",
         timeline,
+        normalizeLoudness,
       } = req.body || {};
 
       if (!String(title || "").trim()) {
@@ -523,6 +400,12 @@ export function registerGeneratePublish(app, deps = {}) {
         return res.status(400).json({ error: "Timeline empty" });
       }
 
+      const categorySlug = await resolveCategorySlug(category);
+      if (!categorySlug) {
+        cleanup();
+        return res.status(400).json({ error: "Unknown category" });
+      }
+
       const { all, videoClips, audioClips } = splitTimeline(timeline);
       if (!videoClips.length) {
         cleanup();
@@ -543,12 +426,9 @@ export function registerGeneratePublish(app, deps = {}) {
 
       /* STEP 1 */
       const t1 = Date.now();
-      const uploadsBucket = process.env.S3_UPLOADS_BUCKET;
-      const assetsBucket = process.env.S3_ASSETS_BUCKET;
-      if (!uploadsBucket) throw new Error("Missing env S3_UPLOADS_BUCKET");
-      if (!assetsBucket) throw new Error("Missing env S3_ASSETS_BUCKET");
-      debug.buckets.uploadsBucket = uploadsBucket;
-      debug.buckets.assetsBucket = assetsBucket;
+      debug.buckets.driver = media.driver;
+      debug.buckets.uploadsBucket = media.uploads.bucket || null;
+      debug.buckets.assetsBucket = media.thumbs.bucket || null;
       debug.ms.step1 = Date.now() - t1;
 
       if (!stepShouldRun(1, requestedStep)) {
@@ -560,10 +440,11 @@ export function registerGeneratePublish(app, deps = {}) {
       const t2 = Date.now();
       const sourceIds = Array.from(new Set([...videoClips, ...audioClips].map((c) => String(c.videoId))));
       const q = await pool.query(
-        `SELECT id, filename FROM videos WHERE id::text = ANY($1::text[])`,
+        `SELECT id, filename, hls_key FROM videos WHERE id::text = ANY($1::text[]) AND deleted_at IS NULL`,
         [sourceIds]
       );
       const byId = new Map(q.rows.map((r) => [String(r.id), String(r.filename || "")]));
+      const hlsKeyById = new Map(q.rows.filter((r) => r.hls_key).map((r) => [String(r.id), r.hls_key]));
       for (const id of sourceIds) {
         if (!byId.get(id)) throw new Error(`Unknown/missing source for videoId ${id}`);
       }
@@ -589,17 +470,19 @@ export function registerGeneratePublish(app, deps = {}) {
         if (String(key).endsWith("/master.m3u8")) {
           const prefix = String(key).replace(/master\.m3u8$/i, "");
           const localHlsDir = path.join(inputDir, `hls-${i}-${id}`);
-          await downloadS3PrefixToDir({ bucket: uploadsBucket, prefix, outDir: localHlsDir });
+          await downloadPrefixToDir(media.uploads, { prefix, outDir: localHlsDir });
 
           const localMaster = path.join(localHlsDir, "master.m3u8");
           if (!fs.existsSync(localMaster)) throw new Error(`Downloaded HLS missing master.m3u8 for ${id}`);
+          // encrypted source: its playlists point at the key endpoint placeholder
+          if (hlsKeyById.has(id)) restoreHlsKey(localHlsDir, hlsKeyById.get(id));
 
           idToInputIndex.set(id, inputPaths.length);
           inputPaths.push(localMaster);
         } else {
           const ext = path.extname(key) || ".mp4";
           const localPath = path.join(inputDir, `src-${i}-${id}${ext}`);
-          await downloadS3ToFile({ bucket: uploadsBucket, key, outPath: localPath });
+          await media.videos.download(key, localPath);
 
           idToInputIndex.set(id, inputPaths.length);
           inputPaths.push(localPath);
@@ -640,6 +523,13 @@ export function registerGeneratePublish(app, deps = {}) {
       /* STEP 5: render HLS (filter_complex ONLY) */
       const t5 = Date.now();
 
+      const allowedVis = new Set(["public", "private", "unlisted"]);
+      const vis = allowedVis.has(String(visibility).toLowerCase())
+        ? String(visibility).toLowerCase()
+        : "public";
+
+      hlsKey = hlsEncryptionFor({ visibility: vis, assetScope: "public" }) ? createHlsKey() : null;
+
       const hlsBase = `gen-${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
       const hlsLocalDir = path.join(outDir, `hls-${hlsBase}`);
       fs.mkdirSync(hlsLocalDir, { recursive: true });
@@ -647,47 +537,94 @@ export function registerGeneratePublish(app, deps = {}) {
       const localMaster = path.join(hlsLocalDir, "master.m3u8");
       const localSegPattern = path.join(hlsLocalDir, "seg-%05d.ts");
 
-      const hlsArgs = [];
+      const inputArgs = [];
       for (const p of inputPaths) {
         if (String(p).endsWith(".m3u8")) {
-          hlsArgs.push(
+          inputArgs.push(
             "-protocol_whitelist", "file,crypto,data",
             "-allowed_extensions", "ALL",
             "-fflags", "+genpts",
             "-i", p
           );
         } else {
-          hlsArgs.push("-i", p);
+          inputArgs.push("-i", p);
         }
       }
 
+      // optional EBU R128 loudnorm on the final mix (off unless asked for):
+      // pass 1 measures [aout], pass 2 runs inside the render below
+      let renderFilter = filter;
+      let audioOut = "[aout]";
+      let loudness = null;
+      if (parseNormalizeFlag(normalizeLoudness, false)) {
+        loudness = await measureLoudness(null, {
+          inputArgs,
+          filterComplex: filter,
+          audioLabel: "aout",
+          otherLabels: ["vout"],
+        });
+        const ln = loudnormFilter(loudness);
+        if (ln) {
+          renderFilter = `${filter};[aout]${ln}[aoutn]`;
+          audioOut = "[aoutn]";
+        }
+        debug.artifacts.loudness = { ...loudness, normalized: !!ln };
+      }
+
+      const hlsArgs = [...inputArgs];
       hlsArgs.push(
         "-y",
         "-hide_banner",
         "-loglevel", "error",
-        "-filter_complex", filter,
+        "-filter_complex", renderFilter,
         "-map", "[vout]",
-        "-map", "[aout]",
+        "-map", audioOut,
         "-c:v", "libx264",
         "-preset", "veryfast",
         "-crf", "22",
         "-pix_fmt", "yuv420p",
         "-c:a", "aac",
-        "-b:a", "192k",
-        "-f", "hls",
-        "-hls_time", "4",
-        "-hls_playlist_type", "vod",
-        "-hls_flags", "independent_segments",
-        "-hls_segment_filename", localSegPattern,
-        localMaster
+        "-b:a", "192k"
       );
 
-      await runFfmpeg(hlsArgs);
+      // the dash muxer can't encrypt, so encrypted exports are always MPEG-TS
+      const packaging = hlsKey ? "ts" : resolvePackaging();
+      if (packaging === "cmaf") {
+        // fMP4 segments shared by master.m3u8 (written by the dash muxer) and manifest.mpd
+        hlsArgs.push(
+          "-g", "48",
+          "-keyint_min", "48",
+          "-sc_threshold", "0",
+          "-f", "dash",
+          "-seg_duration", "4",
+          "-use_template", "1",
+          "-use_timeline", "1",
+          "-init_seg_name", "init_$RepresentationID$.m4s",
+          "-media_seg_name", "chunk_$RepresentationID$_$Number%05d$.m4s",
+          "-adaptation_sets", "id=0,streams=v id=1,streams=a",
+          "-hls_playlist", "1",
+          path.join(hlsLocalDir, DASH_MANIFEST_NAME)
+        );
+      } else {
+        hlsArgs.push(
+          "-f", "hls",
+          "-hls_time", "4",
+          "-hls_playlist_type", "vod",
+          "-hls_flags", "independent_segments",
+          "-hls_segment_filename", localSegPattern,
+          ...(hlsKey ? ["-hls_key_info_file", hlsKey.keyInfoPath] : []),
+          localMaster
+        );
+      }
+
+      await runCheckedFfmpeg(hlsArgs);
 
       if (!fs.existsSync(localMaster)) throw new Error("HLS export failed: master.m3u8 not created");
 
       debug.artifacts.hlsLocalDir = hlsLocalDir;
       debug.artifacts.hlsBase = hlsBase;
+      debug.artifacts.packaging = packaging;
+      debug.artifacts.encrypted = !!hlsKey;
       debug.ms.step5 = Date.now() - t5;
 
       if (!stepShouldRun(5, requestedStep)) {
@@ -770,23 +707,27 @@ export function registerGeneratePublish(app, deps = {}) {
       /* STEP 7: upload HLS dir + thumb */
       const t7 = Date.now();
 
-      const hlsKeyPrefix = `hls/${userId}/${hlsBase}`;
-      await uploadDirToS3({
-        uploadFileToS3,
-        bucket: uploadsBucket,
-        localDir: hlsLocalDir,
-        keyPrefix: hlsKeyPrefix,
-      });
+      // last local read of the rendered HLS (needs the scratch key when encrypted)
+      let mediaInfo = null;
+      try {
+        mediaInfo = await probeMediaInfo(localMaster);
+        debug.artifacts.mediaInfo = mediaInfo;
+      } catch (e) {
+        console.warn("probe of rendered HLS failed:", e?.message || e);
+      }
+
+      const hlsKeyBytes = hlsKey?.key || null;
+      finalizeHlsEncryption(hlsLocalDir, hlsKey);
+      hlsKey = null;
+
+      // non-public renders are stored under private/ like uploads
+      const hlsKeyPrefix = scopedKey(`hls/${userId}/${hlsBase}`, vis !== "public");
+      console.log("⬆️ Store HLS dir:", { localDir: hlsLocalDir, keyPrefix: hlsKeyPrefix });
+      await media.uploads.putDir(hlsKeyPrefix, hlsLocalDir);
 
-      const assetsS3 = makeAssetsS3Client();
       const thumbKey = `thumbs/${userId}/${thumbName}`;
-      await uploadFileToAssetsBucket({
-        assetsS3,
-        bucket: assetsBucket,
-        key: thumbKey,
-        filePath: thumbPath,
-        contentType: "image/jpeg",
-      });
+      console.log("⬆️ Store thumb:", { key: thumbKey, filePath: thumbPath });
+      await media.thumbs.put(thumbKey, thumbPath, { contentType: "image/jpeg" });
 
       debug.artifacts.hlsKeyPrefix = hlsKeyPrefix;
       debug.artifacts.thumbKey = thumbKey;
@@ -802,11 +743,6 @@ export function registerGeneratePublish(app, deps = {}) {
 
       const hlsMasterKey = `${hlsKeyPrefix}/master.m3u8`;
 
-      const allowedVis = new Set(["public", "private", "unlisted"]);
-      const vis = allowedVis.has(String(visibility).toLowerCase())
-        ? String(visibility).toLowerCase()
-        : "public";
-
       const tagsArr = Array.from(
         new Set(
           String(tags || "")
@@ -822,23 +758,41 @@ export function registerGeneratePublish(app, deps = {}) {
         INSERT INTO videos (
           user_id, title, description, category, visibility,
           media_type, asset_scope,
-          filename, thumb, duration_text, views, tags
+          filename, thumb, duration_text, views, tags, packaging, hls_key
         )
-        VALUES ($1, $2, $3, 'Other', $4, 'video', 'public', $5, $6, NULL, 0, $7)
+        VALUES ($1, $2, $3, $4, $5, 'video', 'public', $6, $7, $8, 0, $9, $10, $11)
         RETURNING id
         `,
         [
           userId,
           String(title).trim(),
           String(description || "").trim(),
+          categorySlug,
           vis,
           hlsMasterKey,
           thumbKey,
+          formatDurationText(mediaInfo?.durationSeconds ?? totalDur),
           tagsArr,
+          packaging,
+          hlsKeyBytes,
         ]
       );
 
       const newVideoId = ins.rows[0].id;
+
+      try {
+        await saveMediaInfo(pool, newVideoId, mediaInfo);
+      } catch (e) {
+        console.warn("media info insert failed:", e?.message || e);
+      }
+      try {
+        await saveLoudness(pool, newVideoId, {
+          measured: loudness,
+          normalized: audioOut === "[aoutn]",
+        });
+      } catch (e) {
+        console.warn("loudness insert failed:", e?.message || e);
+      }
       debug.artifacts.newVideoId = newVideoId;
       debug.ms.step8 = Date.now() - t8;
 
@@ -0,0 +1,581 @@
+// server/src/hls.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import { probeMediaInfo } from "./mediaProbe.js";
+import { runFfmpeg, even } from "./ffmpeg.js";
+
+/**
+ * Adaptive-bitrate HLS packaging.
+ *
+ * The ladder is chosen from the probed source: we never upscale, so a 360p phone
+ * clip gets a single 360p rendition and a 4K upload keeps its 2160p rung.
+ * Rungs are named by their short side, which keeps portrait video sharp too.
+ *
+ * HLS_LADDER overrides the rungs: "240,360,480,720,1080" or with video caps
+ * "720:2500,1080:4500" (kbps). ffmpeg writes the variant playlists; we write
+ * master.m3u8 ourselves so BANDWIDTH/AVERAGE-BANDWIDTH come from the real
+ * segment sizes and CODECS/RESOLUTION match what was encoded.
+ *
+ * HLS_PACKAGING picks the segment format:
+ *   "ts"   (default) MPEG-TS segments, HLS only
+ *   "cmaf" fragmented-MP4 (.m4s) segments written once by ffmpeg's dash muxer and
+ *          referenced by both master.m3u8 and manifest.mpd
+ *
+ * HLS_ENCRYPTION=non-public turns on AES-128 segment encryption for private,
+ * unlisted and library videos (default "off"). Each video gets its own random
+ * key, kept in videos.hls_key and served only by the key endpoint; the stored
+ * playlists carry the placeholder URI HLS_KEY_URI, which the app swaps for the
+ * endpoint URL when it serves them. Encrypted output is always MPEG-TS (the
+ * dash muxer can't encrypt).
+ */
+
+// short side -> default video maxrate (kbps), audio bitrate (kbps)
+const RUNG_DEFAULTS = {
+  240: { videoKbps: 400, audioKbps: 64 },
+  360: { videoKbps: 800, audioKbps: 96 },
+  480: { videoKbps: 1400, audioKbps: 128 },
+  720: { videoKbps: 2800, audioKbps: 128 },
+  1080: { videoKbps: 5000, audioKbps: 160 },
+  1440: { videoKbps: 9000, audioKbps: 160 },
+  2160: { videoKbps: 16000, audioKbps: 192 },
+};
+
+// H.264 levels (Table A-1): max macroblocks/s, max frame size in macroblocks,
+// max video bitrate and CPB size (kbps, Main profile)
+const H264_LEVELS = [
+  { level: "2.1", mbps: 19800, fs: 792, br: 4000, cpb: 4000 },
+  { level: "2.2", mbps: 20250, fs: 1620, br: 4000, cpb: 4000 },
+  { level: "3.0", mbps: 40500, fs: 1620, br: 10000, cpb: 10000 },
+  { level: "3.1", mbps: 108000, fs: 3600, br: 14000, cpb: 14000 },
+  { level: "3.2", mbps: 216000, fs: 5120, br: 20000, cpb: 20000 },
+  { level: "4.0", mbps: 245760, fs: 8192, br: 20000, cpb: 25000 },
+  { level: "4.1", mbps: 245760, fs: 8192, br: 50000, cpb: 62500 },
+  { level: "4.2", mbps: 522240, fs: 8704, br: 50000, cpb: 62500 },
+  { level: "5.0", mbps: 589824, fs: 22080, br: 135000, cpb: 135000 },
+  { level: "5.1", mbps: 983040, fs: 36864, br: 240000, cpb: 240000 },
+  { level: "5.2", mbps: 2073600, fs: 36864, br: 240000, cpb: 240000 },
+  { level: "6.0", mbps: 4177920, fs: 139264, br: 240000, cpb: 240000 },
+  { level: "6.1", mbps: 8355840, fs: 139264, br: 480000, cpb: 480000 },
+  { level: "6.2", mbps: 16711680, fs: 139264, br: 800000, cpb: 800000 },
+];
+
+const DEFAULT_LADDER = "240,360,480,720,1080,1440,2160";
+export const PACKAGING_MODES = new Set(["ts", "cmaf"]);
+export const DASH_MANIFEST_NAME = "manifest.mpd";
+export const HLS_KEY_URI = "aes128.key";
+const START_HEIGHT = Number(process.env.HLS_START_HEIGHT || 720);
+const SEGMENT_SECONDS = 4;
+
+// H.264 Main profile -> "avc1.4d40XX" where XX is the level * 10 in hex
+function avcCodecString(level) {
+  const n = Math.round(Number(level) * 10);
+  return `avc1.4d40${n.toString(16).padStart(2, "0")}`;
+}
+
+// Lowest level that fits width x height at fps and the rung's rate caps, so
+// 1080p60 gets 4.2 where 1080p30 gets 4.0
+function h264LevelFor({ width, height, fps, maxrateKbps = 0, bufsizeKbps = 0 }) {
+  const mbW = Math.ceil(width / 16);
+  const mbH = Math.ceil(height / 16);
+  const frameMbs = mbW * mbH;
+  const rate = Number(fps) > 0 ? Number(fps) : 30;
+
+  const fit = H264_LEVELS.find(
+    (l) =>
+      frameMbs <= l.fs &&
+      // neither side may exceed sqrt(8 * MaxFS) macroblocks
+      Math.max(mbW, mbH) <= Math.sqrt(8 * l.fs) &&
+      frameMbs * rate <= l.mbps &&
+      maxrateKbps <= l.br &&
+      bufsizeKbps <= l.cpb
+  );
+  return (fit || H264_LEVELS[H264_LEVELS.length - 1]).level;
+}
+
+function defaultsFor(height) {
+  if (RUNG_DEFAULTS[height]) return RUNG_DEFAULTS[height];
+
+  // unknown rung: borrow from the nearest one above it (or the top one)
+  const known = Object.keys(RUNG_DEFAULTS).map(Number).sort((a, b) => a - b);
+  const above = known.find((h) => h >= height) ?? known[known.length - 1];
+  return RUNG_DEFAULTS[above];
+}
+
+export function parseLadderConfig(raw = process.env.HLS_LADDER || DEFAULT_LADDER) {
+  const rungs = String(raw)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const [h, kbps] = s.split(":").map((x) => Number(String(x).replace(/k$/i, "")));
+      if (!Number.isFinite(h) || h <= 0) return null;
+      const d = defaultsFor(h);
+      return {
+        height: even(h),
+        videoKbps: Number.isFinite(kbps) && kbps > 0 ? kbps : d.videoKbps,
+        audioKbps: d.audioKbps,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.height - b.height);
+
+  if (!rungs.length) throw new Error(`Invalid HLS_LADDER: ${raw}`);
+  return rungs;
+}
+
+/**
+ * Pick the renditions for a source of width x height (displayed size, see
+ * probeMediaInfo) at frameRate; the H.264 level follows from both.
+ * Returns [{ name, width, height, videoKbps, maxrateKbps, bufsizeKbps, audioKbps, level, videoCodec }]
+ */
+export function buildLadder({ width, height, frameRate }, ladder = parseLadderConfig()) {
+  const srcW = Number(width);
+  const srcH = Number(height);
+  if (!Number.isFinite(srcW) || !Number.isFinite(srcH) || srcW <= 0 || srcH <= 0) {
+    throw new Error("Cannot build HLS ladder: unknown source resolution");
+  }
+
+  const portrait = srcH > srcW;
+  const srcShort = Math.min(srcW, srcH);
+
+  // no upscaling; a source below the smallest rung gets one rendition at its own size
+  let picked = ladder.filter((r) => r.height <= srcShort);
+  if (!picked.length) {
+    const d = ladder[0];
+    picked = [{ ...d, height: even(srcShort) }];
+  }
+
+  return picked.map((r) => {
+    const short = r.height;
+    const long = even((Math.max(srcW, srcH) * short) / srcShort);
+    const w = portrait ? short : long;
+    const h = portrait ? long : short;
+    const level = h264LevelFor({
+      width: w,
+      height: h,
+      fps: frameRate,
+      maxrateKbps: r.videoKbps,
+      bufsizeKbps: r.videoKbps * 2,
+    });
+
+    return {
+      name: `${r.height}p`,
+      width: w,
+      height: h,
+      videoKbps: r.videoKbps,
+      maxrateKbps: r.videoKbps,
+      bufsizeKbps: r.videoKbps * 2,
+      audioKbps: r.audioKbps,
+      level,
+      videoCodec: avcCodecString(level),
+    };
+  });
+}
+
+// Parse a variant playlist and measure it from the segment files on disk
+function measureVariant(playlistPath) {
+  const dir = path.dirname(playlistPath);
+  const lines = fs.readFileSync(playlistPath, "utf8").split(/\r?\n/);
+
+  let totalBits = 0;
+  let totalDur = 0;
+  let peak = 0;
+  let pendingDur = null;
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (line.startsWith("#EXTINF:")) {
+      pendingDur = Number(line.slice(8).split(",")[0]);
+      continue;
+    }
+    if (!line || line.startsWith("#") || pendingDur == null) continue;
+
+    const segPath = path.join(dir, line);
+    const bits = fs.existsSync(segPath) ? fs.statSync(segPath).size * 8 : 0;
+    if (pendingDur > 0) peak = Math.max(peak, bits / pendingDur);
+    totalBits += bits;
+    totalDur += pendingDur;
+    pendingDur = null;
+  }
+
+  return {
+    peakBandwidth: Math.ceil(peak),
+    averageBandwidth: totalDur > 0 ? Math.ceil(totalBits / totalDur) : 0,
+  };
+}
+
+// Should a video with this visibility/scope be encrypted? (HLS_ENCRYPTION)
+export function hlsEncryptionFor({ visibility, assetScope }, raw = process.env.HLS_ENCRYPTION) {
+  const mode = String(raw || "off").toLowerCase().trim();
+  if (mode === "off") return false;
+  if (mode !== "non-public") throw new Error(`Invalid HLS_ENCRYPTION: ${raw} (use off or non-public)`);
+  return assetScope === "library" || String(visibility || "public") !== "public";
+}
+
+/**
+ * New random AES-128 key, written to a scratch dir ffmpeg reads it from.
+ * While packaging, playlists point at that file (so ffmpeg can still decode
+ * the output locally); finalizeHlsEncryption swaps in HLS_KEY_URI and removes it.
+ */
+export function createHlsKey() {
+  const key = crypto.randomBytes(16);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hlskey-"));
+  const keyPath = path.join(dir, "key.bin");
+  const keyInfoPath = path.join(dir, "key.info");
+  const localUri = pathToFileURL(keyPath).href;
+
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+  // key URI, key file (no IV line: the segment sequence number is the IV)
+  fs.writeFileSync(keyInfoPath, `${localUri}\n${keyPath}\n`, { mode: 0o600 });
+  return { key, dir, keyInfoPath, localUri };
+}
+
+// replace `from` with `to` in every playlist under rootDir
+function replaceInPlaylists(rootDir, from, to) {
+  const walk = (dir) => {
+    for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) walk(full);
+      else if (e.name.endsWith(".m3u8")) {
+        const text = fs.readFileSync(full, "utf8");
+        if (text.includes(from)) fs.writeFileSync(full, text.split(from).join(to));
+      }
+    }
+  };
+  if (fs.existsSync(rootDir)) walk(rootDir);
+}
+
+// Point every playlist under outDir at HLS_KEY_URI and drop the scratch key
+export function finalizeHlsEncryption(outDir, hlsKey) {
+  if (!hlsKey) return;
+  try {
+    replaceInPlaylists(outDir, hlsKey.localUri, HLS_KEY_URI);
+  } finally {
+    discardHlsKey(hlsKey);
+  }
+}
+
+/**
+ * The reverse, for a stored encrypted rendition downloaded to localDir: write
+ * its key (videos.hls_key) there and point the HLS_KEY_URI placeholder at that
+ * file, so ffmpeg can decrypt it (inputs need -protocol_whitelist file,crypto).
+ */
+export function restoreHlsKey(localDir, key) {
+  const keyPath = path.join(localDir, HLS_KEY_URI);
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+  replaceInPlaylists(localDir, `URI="${HLS_KEY_URI}"`, `URI="${pathToFileURL(keyPath).href}"`);
+}
+
+export function discardHlsKey(hlsKey) {
+  if (hlsKey) fs.rmSync(hlsKey.dir, { recursive: true, force: true });
+}
+
+// attribute list of an #EXT-X-... tag -> { NAME: value } (quotes stripped)
+function parseAttributes(line) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let m;
+  while ((m = re.exec(line.slice(line.indexOf(":") + 1)))) attrs[m[1]] = m[2].replace(/^"|"$/g, "");
+  return attrs;
+}
+
+/**
+ * Re-package an existing unencrypted HLS set (ts or cmaf, as generateHls wrote
+ * it to srcDir) into encrypted MPEG-TS under outDir, copying the streams
+ * instead of re-encoding. For videos that stop being public after upload.
+ * Storyboard files are copied along; playlists, segments and the DASH manifest
+ * are not, and subtitle tracks are left to the caller (captions.js).
+ * Returns { variants, hasAudio, packaging: "ts" }.
+ */
+export async function encryptHlsCopy(srcDir, outDir, hlsKey) {
+  const master = fs.readFileSync(path.join(srcDir, "master.m3u8"), "utf8").split(/\r?\n/);
+
+  let audioUri = null;
+  let frameRate = null;
+  const sources = [];
+  for (let i = 0; i < master.length; i++) {
+    const line = master[i].trim();
+    if (line.startsWith("#EXT-X-MEDIA:")) {
+      const a = parseAttributes(line);
+      if (a.TYPE === "AUDIO" && a.URI) audioUri = a.URI;
+    } else if (line.startsWith("#EXT-X-STREAM-INF:")) {
+      const a = parseAttributes(line);
+      const [width, height] = String(a.RESOLUTION || "").split("x").map(Number);
+      const codecs = String(a.CODECS || "").split(",");
+      frameRate = frameRate ?? (Number(a["FRAME-RATE"]) || null);
+      sources.push({
+        uri: master[i + 1]?.trim(),
+        width,
+        height,
+        videoCodec: codecs.find((c) => c.startsWith("avc1")) || codecs[0],
+        hasAudio: codecs.some((c) => c.startsWith("mp4a")),
+      });
+    }
+  }
+  if (!sources.length || sources.some((s) => !s.uri)) throw new Error("Cannot encrypt HLS: no variants in master.m3u8");
+
+  const hasAudio = sources.some((s) => s.hasAudio);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const variants = [];
+  for (const [i, s] of sources.entries()) {
+    const args = ["-y", "-hide_banner", "-loglevel", "error", "-i", path.join(srcDir, s.uri)];
+    if (audioUri) args.push("-i", path.join(srcDir, audioUri));
+    args.push("-map", "0:v:0");
+    if (hasAudio) args.push("-map", audioUri ? "1:a:0" : "0:a:0");
+
+    const uri = `v${i}/playlist.m3u8`;
+    args.push(
+      "-c", "copy",
+      "-f", "hls",
+      "-hls_time", String(SEGMENT_SECONDS),
+      "-hls_playlist_type", "vod",
+      "-hls_flags", "independent_segments",
+      "-hls_segment_type", "mpegts",
+      "-hls_key_info_file", hlsKey.keyInfoPath,
+      "-hls_segment_filename", path.join(outDir, `v${i}`, "seg_%05d.ts"),
+      path.join(outDir, uri)
+    );
+
+    fs.mkdirSync(path.join(outDir, `v${i}`), { recursive: true });
+    await runFfmpeg(args);
+    variants.push({ ...s, uri, ...measureVariant(path.join(outDir, uri)) });
+  }
+
+  // storyboard (thumbnails.vtt + sprites) keeps its relative layout
+  const copyExtras = (rel) => {
+    for (const e of fs.readdirSync(path.join(srcDir, rel), { withFileTypes: true })) {
+      const child = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory()) {
+        if (child !== "subs") copyExtras(child);
+      } else if (!/\.(m3u8|ts|m4s|mpd)$/i.test(e.name)) {
+        fs.mkdirSync(path.join(outDir, rel), { recursive: true });
+        fs.copyFileSync(path.join(srcDir, child), path.join(outDir, child));
+      }
+    }
+  };
+  copyExtras("");
+
+  writeMasterPlaylist(outDir, variants, { hasAudio, frameRate });
+  return { variants, hasAudio, packaging: "ts" };
+}
+
+export function resolvePackaging(raw = process.env.HLS_PACKAGING) {
+  const mode = String(raw || "ts").toLowerCase().trim();
+  if (!PACKAGING_MODES.has(mode)) throw new Error(`Invalid HLS_PACKAGING: ${raw} (use ts or cmaf)`);
+  return mode;
+}
+
+/**
+ * variants: [{ uri, width, height, videoCodec, peakBandwidth, averageBandwidth }]
+ * audio (cmaf only): { uri, peakBandwidth, averageBandwidth } for the shared audio rendition;
+ *   without it, audio is muxed into each variant (ts).
+ */
+function writeMasterPlaylist(outDir, variants, { hasAudio, frameRate, audio = null, fmp4 = false }) {
+  // start playback on the rung closest to HLS_START_HEIGHT (clients begin with the first entry)
+  const ordered = [...variants];
+  let startIdx = 0;
+  ordered.forEach((v, i) => {
+    const best = ordered[startIdx];
+    const d = Math.abs(Math.min(v.width, v.height) - START_HEIGHT);
+    if (d < Math.abs(Math.min(best.width, best.height) - START_HEIGHT)) startIdx = i;
+  });
+  const [start] = ordered.splice(startIdx, 1);
+  ordered.unshift(start);
+
+  const lines = [
+    "#EXTM3U",
+    `#EXT-X-VERSION:${fmp4 ? 7 : 3}`,
+    "#EXT-X-INDEPENDENT-SEGMENTS",
+  ];
+
+  if (audio) {
+    lines.push(
+      `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Main",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",URI="${audio.uri}"`
+    );
+  }
+
+  for (const v of ordered) {
+    const codecs = hasAudio ? `${v.videoCodec},mp4a.40.2` : v.videoCodec;
+    const attrs = [
+      `BANDWIDTH=${v.peakBandwidth + (audio?.peakBandwidth || 0)}`,
+      `AVERAGE-BANDWIDTH=${v.averageBandwidth + (audio?.averageBandwidth || 0)}`,
+      `RESOLUTION=${v.width}x${v.height}`,
+      ...(frameRate ? [`FRAME-RATE=${Number(frameRate).toFixed(3)}`] : []),
+      `CODECS="${codecs}"`,
+      ...(audio ? [`AUDIO="aud"`] : []),
+    ];
+    lines.push(`#EXT-X-STREAM-INF:${attrs.join(",")}`);
+    lines.push(v.uri);
+  }
+
+  fs.writeFileSync(path.join(outDir, "master.m3u8"), `${lines.join("\n")}\n`);
+}
+
+function videoOutputArgs(variants) {
+  const args = [];
+  variants.forEach((v, i) => {
+    args.push(
+      `-filter:v:${i}`, `scale=${v.width}:${v.height},setsar=1,format=yuv420p`,
+      `-c:v:${i}`, "libx264",
+      `-profile:v:${i}`, "main",
+      `-level:v:${i}`, v.level,
+      `-crf:v:${i}`, "21",
+      `-maxrate:v:${i}`, `${v.maxrateKbps}k`,
+      `-bufsize:v:${i}`, `${v.bufsizeKbps}k`
+    );
+  });
+  return args;
+}
+
+// MPEG-TS: one muxed (video + audio) playlist per rung under v<i>/
+async function packageTs({ inputPath, outDir, variants, hasAudio, gop, audioFilter, hlsKey }) {
+  const args = ["-y", "-hide_banner", "-loglevel", "error", "-i", inputPath];
+
+  variants.forEach(() => {
+    args.push("-map", "0:v:0");
+    if (hasAudio) args.push("-map", "0:a:0");
+  });
+
+  args.push(...videoOutputArgs(variants));
+
+  if (hasAudio) {
+    variants.forEach((v, i) => {
+      if (audioFilter) args.push(`-filter:a:${i}`, audioFilter);
+      args.push(
+        `-c:a:${i}`, "aac",
+        `-b:a:${i}`, `${v.audioKbps}k`,
+        `-ac:a:${i}`, "2"
+      );
+    });
+  }
+
+  args.push(
+    "-preset", "veryfast",
+    "-g", gop,
+    "-keyint_min", gop,
+    "-sc_threshold", "0",
+
+    "-f", "hls",
+    "-hls_time", String(SEGMENT_SECONDS),
+    "-hls_playlist_type", "vod",
+    "-hls_flags", "independent_segments",
+    "-hls_segment_type", "mpegts",
+    ...(hlsKey ? ["-hls_key_info_file", hlsKey.keyInfoPath] : []),
+    "-hls_segment_filename", path.join(outDir, "v%v", "seg_%05d.ts"),
+    "-var_stream_map", variants.map((_v, i) => (hasAudio ? `v:${i},a:${i}` : `v:${i}`)).join(" "),
+    path.join(outDir, "v%v", "playlist.m3u8")
+  );
+
+  await runFfmpeg(args);
+
+  const measured = variants.map((v, i) => {
+    const uri = `v${i}/playlist.m3u8`;
+    return { ...v, uri, ...measureVariant(path.join(outDir, uri)) };
+  });
+
+  return { variants: measured, audio: null };
+}
+
+// CMAF: video rungs + one shared audio rendition as fMP4, described by both
+// manifest.mpd and per-representation HLS playlists (media_<n>.m3u8)
+async function packageCmaf({ inputPath, outDir, variants, hasAudio, gop, audioFilter }) {
+  const audioKbps = Math.max(...variants.map((v) => v.audioKbps));
+  const args = ["-y", "-hide_banner", "-loglevel", "error", "-i", inputPath];
+
+  variants.forEach(() => args.push("-map", "0:v:0"));
+  if (hasAudio) args.push("-map", "0:a:0");
+
+  args.push(...videoOutputArgs(variants));
+  if (hasAudio) {
+    if (audioFilter) args.push("-filter:a", audioFilter);
+    args.push("-c:a", "aac", "-b:a", `${audioKbps}k`, "-ac", "2");
+  }
+
+  args.push(
+    "-preset", "veryfast",
+    "-g", gop,
+    "-keyint_min", gop,
+    "-sc_threshold", "0",
+
+    "-f", "dash",
+    "-seg_duration", String(SEGMENT_SECONDS),
+    "-use_template", "1",
+    "-use_timeline", "1",
+    "-init_seg_name", "init_$RepresentationID$.m4s",
+    "-media_seg_name", "chunk_$RepresentationID$_$Number%05d$.m4s",
+    "-adaptation_sets", hasAudio ? "id=0,streams=v id=1,streams=a" : "id=0,streams=v",
+    "-hls_playlist", "1",
+    path.join(outDir, DASH_MANIFEST_NAME)
+  );
+
+  await runFfmpeg(args);
+
+  // representation ids follow the -map order: videos 0..n-1, then audio n
+  const measured = variants.map((v, i) => {
+    const uri = `media_${i}.m3u8`;
+    return { ...v, uri, ...measureVariant(path.join(outDir, uri)) };
+  });
+
+  let audio = null;
+  if (hasAudio) {
+    const uri = `media_${variants.length}.m3u8`;
+    audio = { uri, ...measureVariant(path.join(outDir, uri)) };
+  }
+
+  return { variants: measured, audio };
+}
+
+/**
+ * Transcode inputPath into an ABR set under outDir (always has outDir/master.m3u8).
+ *   ts:   outDir/v<i>/playlist.m3u8 + outDir/v<i>/seg_00000.ts
+ *   cmaf: outDir/manifest.mpd + outDir/media_<n>.m3u8 + init/chunk .m4s files
+ * Pass the probe result as mediaInfo when you already have it, and an ffmpeg
+ * audio filter chain (e.g. the loudnorm second pass) as audioFilter.
+ * With hlsKey (createHlsKey) the segments are AES-128 encrypted; call
+ * finalizeHlsEncryption once nothing needs to read the output locally.
+ * Returns { variants, hasAudio, packaging, dashManifest }.
+ */
+export async function generateHls(inputPath, outDir, { mediaInfo, packaging, audioFilter, hlsKey = null } = {}) {
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const mode = hlsKey ? "ts" : resolvePackaging(packaging);
+  const info = mediaInfo || (await probeMediaInfo(inputPath));
+  if (!info.hasVideo) throw new Error("Cannot build HLS: source has no video stream");
+
+  const ladder = buildLadder(info);
+  const hasAudio = !!info.hasAudio;
+
+  // keyframe every 2s so every 4s segment starts on one
+  const fps = Number(info.frameRate) > 0 ? Number(info.frameRate) : 24;
+  const gop = String(Math.max(1, Math.round(fps * 2)));
+
+  const packager = mode === "cmaf" ? packageCmaf : packageTs;
+  const { variants, audio } = await packager({
+    inputPath,
+    outDir,
+    variants: ladder,
+    hasAudio,
+    gop,
+    audioFilter: hasAudio ? audioFilter || null : null,
+    hlsKey,
+  });
+
+  // replaces the master ffmpeg's dash muxer writes in cmaf mode
+  writeMasterPlaylist(outDir, variants, {
+    hasAudio,
+    frameRate: info.frameRate,
+    audio,
+    fmp4: mode === "cmaf",
+  });
+
+  return {
+    variants,
+    hasAudio,
+    packaging: mode,
+    dashManifest: mode === "cmaf" ? DASH_MANIFEST_NAME : null,
+  };
+}
@@ -0,0 +1,141 @@
+// server/src/loudness.js
+import { runFfmpeg } from "./ffmpeg.js";
+
+/**
+ * EBU R128 loudness normalization with ffmpeg's loudnorm, two passes:
+ *   1. measureLoudness() runs loudnorm in analysis mode (print_format=json)
+ *   2. loudnormFilter(measured) feeds those numbers back so the real encode
+ *      applies a single linear gain instead of dynamic compression
+ *
+ * Targets (env): LOUDNORM_I (integrated LUFS, default -23 as R128 specifies),
+ * LOUDNORM_TP (true peak dBTP, default -1), LOUDNORM_LRA (loudness range LU,
+ * default 11). Music/streaming platforms mostly normalize to -14 instead; set
+ * LOUDNORM_I=-14 to match them (that is louder than R128, not R128).
+ * LOUDNORM_DEFAULT=0 turns normalization off for uploads that don't ask for it.
+ */
+
+export const LOUDNORM_TARGET = {
+  I: Number(process.env.LOUDNORM_I || -23),
+  TP: Number(process.env.LOUDNORM_TP || -1),
+  LRA: Number(process.env.LOUDNORM_LRA || 11),
+};
+
+export const LOUDNORM_DEFAULT = process.env.LOUDNORM_DEFAULT !== "0";
+
+// loudnorm resamples to 192kHz internally; bring it back down for AAC
+const OUTPUT_SAMPLE_RATE = 48000;
+
+function targetArgs() {
+  return `I=${LOUDNORM_TARGET.I}:TP=${LOUDNORM_TARGET.TP}:LRA=${LOUDNORM_TARGET.LRA}`;
+}
+
+function parseLoudnormJson(stderr) {
+  const start = stderr.lastIndexOf("{");
+  const end = stderr.lastIndexOf("}");
+  if (start < 0 || end < start) throw new Error("loudnorm: no measurement in ffmpeg output");
+
+  const j = JSON.parse(stderr.slice(start, end + 1));
+  const num = (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  };
+
+  return {
+    integrated: num(j.input_i),
+    truePeak: num(j.input_tp),
+    range: num(j.input_lra),
+    threshold: num(j.input_thresh),
+    offset: num(j.target_offset),
+  };
+}
+
+// -inf from a silent track can't drive the second pass
+function usable(m) {
+  return m && [m.integrated, m.truePeak, m.range, m.threshold, m.offset].every((v) => v !== null);
+}
+
+/**
+ * Pass 1. `inputArgs` are the ffmpeg input options (default: ["-i", inputPath]);
+ * pass `filterComplex` + `audioLabel` to measure a mixed graph output instead of
+ * the first audio stream. Other labelled graph outputs must be listed in
+ * `otherLabels` (ffmpeg refuses unconnected outputs); they go to the null muxer.
+ */
+export async function measureLoudness(inputPath, { inputArgs, filterComplex, audioLabel, otherLabels = [] } = {}) {
+  const args = ["-hide_banner", "-nostats", ...(inputArgs || ["-i", inputPath])];
+
+  if (filterComplex) {
+    args.push(
+      "-filter_complex",
+      `${filterComplex};[${audioLabel}]loudnorm=${targetArgs()}:print_format=json[loudness_probe]`,
+      "-map", "[loudness_probe]"
+    );
+    for (const label of otherLabels) args.push("-map", `[${label}]`);
+  } else {
+    args.push("-map", "0:a:0", "-af", `loudnorm=${targetArgs()}:print_format=json`, "-vn", "-sn");
+  }
+
+  args.push("-f", "null", "-");
+
+  const { err: stderr } = await runFfmpeg(args);
+  return parseLoudnormJson(stderr);
+}
+
+/**
+ * Pass 2 filter for the measured source, or null when the measurement
+ * can't be used (silence, failed parse) and audio should pass through untouched.
+ */
+export function loudnormFilter(measured) {
+  if (!usable(measured)) return null;
+  return (
+    `loudnorm=${targetArgs()}` +
+    `:measured_I=${measured.integrated}` +
+    `:measured_TP=${measured.truePeak}` +
+    `:measured_LRA=${measured.range}` +
+    `:measured_thresh=${measured.threshold}` +
+    `:offset=${measured.offset}` +
+    `:linear=true,aresample=${OUTPUT_SAMPLE_RATE}`
+  );
+}
+
+// "0" / "false" / "no" / "off" -> false, anything else truthy -> true, missing -> fallback
+export function parseNormalizeFlag(raw, fallback = LOUDNORM_DEFAULT) {
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  if (typeof raw === "boolean") return raw;
+  return !["0", "false", "no", "off"].includes(String(raw).trim().toLowerCase());
+}
+
+export async function saveLoudness(pool, videoId, { measured, normalized }) {
+  if (!measured) return;
+
+  await pool.query(
+    `
+    INSERT INTO video_media_info (
+      video_id, integrated_loudness, true_peak, loudness_range, loudness_normalized, probed_at
+    )
+    VALUES ($1, $2, $3, $4, $5, now())
+    ON CONFLICT (video_id)
+    DO UPDATE SET
+      integrated_loudness = EXCLUDED.integrated_loudness,
+      true_peak = EXCLUDED.true_peak,
+      loudness_range = EXCLUDED.loudness_range,
+      loudness_normalized = EXCLUDED.loudness_normalized
+    `,
+    [String(videoId), measured.integrated, measured.truePeak, measured.range, !!normalized]
+  );
+}
+
+// Audio-only pass 2: normalized AAC in an .m4a (first audio stream only)
+export async function writeNormalizedAudio(inputPath, outPath, filter, { bitrateKbps = 192 } = {}) {
+  await runFfmpeg([
+    "-y",
+    "-hide_banner",
+    "-loglevel", "error",
+    "-i", inputPath,
+    "-map", "0:a:0",
+    "-af", filter,
+    "-c:a", "aac",
+    "-b:a", `${bitrateKbps}k`,
+    "-movflags", "+faststart",
+    outPath,
+  ]);
+}
@@ -0,0 +1,167 @@
+// server/src/mediaProbe.js
+import { runCmd } from "./ffmpeg.js";
+
+/**
+ * ffprobe -> technical metadata we store in video_media_info
+ * (see migrations/006_video_media_info.sql).
+ */
+
+async function ffprobeJson(filePath, extraArgs = []) {
+  const { out } = await runCmd("ffprobe", [
+    "-v", "error",
+    ...extraArgs,
+    "-show_format",
+    "-show_streams",
+    "-of", "json",
+    filePath,
+  ]);
+  try {
+    return JSON.parse(out || "{}");
+  } catch (e) {
+    throw new Error(`ffprobe returned invalid JSON: ${e.message}`);
+  }
+}
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "30000/1001" -> 29.97
+function parseFrameRate(v) {
+  const [a, b] = String(v || "").split("/").map(Number);
+  if (!Number.isFinite(a) || a <= 0) return null;
+  const fps = Number.isFinite(b) && b > 0 ? a / b : a;
+  return Math.round(fps * 100) / 100;
+}
+
+// Rotation snapped to 0/90/180/270 (the direction doesn't matter for sizing):
+// Display Matrix side data (current ffprobe) first, then the legacy rotate tag.
+function parseRotation(stream) {
+  const side = (Array.isArray(stream?.side_data_list) ? stream.side_data_list : []).find((d) => d.rotation != null);
+  const deg = num(side?.rotation) ?? num(stream?.tags?.rotate) ?? 0;
+  return (((Math.round(deg / 90) * 90) % 360) + 360) % 360;
+}
+
+/**
+ * Probe a media file (or HLS playlist).
+ * width/height are the displayed size: ffmpeg applies the rotation when decoding,
+ * so a portrait phone clip stored as rotated 1920x1080 reports 1080x1920.
+ * Returns null values for anything ffprobe didn't report; throws if ffprobe fails.
+ */
+export async function probeMediaInfo(filePath) {
+  const extra = String(filePath).endsWith(".m3u8")
+    ? ["-protocol_whitelist", "file,crypto,data", "-allowed_extensions", "ALL"]
+    : [];
+  const data = await ffprobeJson(filePath, extra);
+
+  const streams = Array.isArray(data.streams) ? data.streams : [];
+  const format = data.format || {};
+
+  // cover art shows up as a video stream; ignore it
+  const video = streams.find((s) => s.codec_type === "video" && !s.disposition?.attached_pic);
+  const audio = streams.find((s) => s.codec_type === "audio");
+
+  const durationSeconds =
+    num(format.duration) ?? num(video?.duration) ?? num(audio?.duration);
+
+  const rotation = video ? parseRotation(video) : 0;
+  const sideways = rotation === 90 || rotation === 270;
+
+  return {
+    durationSeconds: durationSeconds && durationSeconds > 0 ? durationSeconds : null,
+    container: format.format_name || null,
+    sizeBytes: num(format.size),
+    bitrate: num(format.bit_rate),
+
+    hasVideo: !!video,
+    width: num(sideways ? video?.height : video?.width),
+    height: num(sideways ? video?.width : video?.height),
+    rotation,
+    frameRate: parseFrameRate(video?.avg_frame_rate) ?? parseFrameRate(video?.r_frame_rate),
+    videoCodec: video?.codec_name || null,
+    pixelFormat: video?.pix_fmt || null,
+
+    hasAudio: !!audio,
+    audioCodec: audio?.codec_name || null,
+    audioChannels: num(audio?.channels),
+    audioSampleRate: num(audio?.sample_rate),
+
+    streamCount: streams.length,
+  };
+}
+
+// 75.4 -> "1:15", 3725 -> "1:02:05"
+export function formatDurationText(seconds) {
+  const total = Math.round(Number(seconds));
+  if (!Number.isFinite(total) || total <= 0) return null;
+
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const ss = String(s).padStart(2, "0");
+
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${ss}` : `${m}:${ss}`;
+}
+
+// Badge for the UI ("4K", "HD", "SD"); null for audio-only
+export function qualityLabel(width, height) {
+  const w = Number(width);
+  const h = Number(height);
+  if (!Number.isFinite(h) || h <= 0) return null;
+
+  // use the short side so portrait clips get the right badge
+  const shortSide = Number.isFinite(w) && w > 0 ? Math.min(w, h) : h;
+  if (shortSide >= 2160) return "4K";
+  if (shortSide >= 720) return "HD";
+  return "SD";
+}
+
+export async function saveMediaInfo(pool, videoId, info) {
+  if (!info) return;
+
+  await pool.query(
+    `
+    INSERT INTO video_media_info (
+      video_id, duration_seconds, container, size_bytes, bitrate,
+      has_video, width, height, frame_rate, video_codec, pixel_format,
+      has_audio, audio_codec, audio_channels, audio_sample_rate, probed_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, now())
+    ON CONFLICT (video_id)
+    DO UPDATE SET
+      duration_seconds = EXCLUDED.duration_seconds,
+      container = EXCLUDED.container,
+      size_bytes = EXCLUDED.size_bytes,
+      bitrate = EXCLUDED.bitrate,
+      has_video = EXCLUDED.has_video,
+      width = EXCLUDED.width,
+      height = EXCLUDED.height,
+      frame_rate = EXCLUDED.frame_rate,
+      video_codec = EXCLUDED.video_codec,
+      pixel_format = EXCLUDED.pixel_format,
+      has_audio = EXCLUDED.has_audio,
+      audio_codec = EXCLUDED.audio_codec,
+      audio_channels = EXCLUDED.audio_channels,
+      audio_sample_rate = EXCLUDED.audio_sample_rate,
+      probed_at = now()
+    `,
+    [
+      String(videoId),
+      info.durationSeconds,
+      info.container,
+      info.sizeBytes,
+      info.bitrate,
+      info.hasVideo,
+      info.width,
+      info.height,
+      info.frameRate,
+      info.videoCodec,
+      info.pixelFormat,
+      info.hasAudio,
+      info.audioCodec,
+      info.audioChannels,
+      info.audioSampleRate,
+    ]
+  );
+}
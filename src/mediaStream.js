@@ -0,0 +1,108 @@
+// server/src/mediaStream.js
+import path from "path";
+
+/**
+ * Conditional-GET byte server for one stored file (any media area).
+ *
+ *   - GET and HEAD (HEAD sends headers only, never opens the file)
+ *   - ETag + Last-Modified; If-None-Match / If-Modified-Since -> 304
+ *   - Range: bytes=a-b, bytes=a-, bytes=-n (suffix); end clamped to the size.
+ *     Unsatisfiable -> 416 with an unsatisfied-range Content-Range. Malformed,
+ *     non-bytes or multi-range requests get the whole file (200), as RFC 9110 allows.
+ *   - If-Range (ETag or date): range only honoured while the validator matches
+ */
+
+const MEDIA_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+  ".webm": "video/webm",
+  ".avi": "video/x-msvideo",
+  ".mpeg": "video/mpeg",
+  ".mpg": "video/mpeg",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".m4a": "audio/mp4",
+  ".aac": "audio/aac",
+  ".flac": "audio/flac",
+  ".ogg": "audio/ogg",
+  ".opus": "audio/ogg; codecs=opus",
+};
+
+// Content-Type for a stored media file; .webm holds audio-only uploads too
+export function mediaContentType(key, mediaType = "video") {
+  const ext = path.extname(String(key || "")).toLowerCase();
+  if (ext === ".webm" && mediaType === "audio") return "audio/webm";
+  return MEDIA_TYPES[ext] || "application/octet-stream";
+}
+
+function etagFor(stat) {
+  const mtime = stat.lastModified ? new Date(stat.lastModified).getTime() : 0;
+  return `"${stat.size.toString(16)}-${mtime.toString(16)}"`;
+}
+
+// If-Range: an ETag must match exactly, a date must not be older than the file
+function ifRangeMatches(req, etag, lastModified) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+  if (ifRange.includes('"')) return ifRange.trim() === etag;
+  if (!lastModified) return false;
+  const since = Date.parse(ifRange);
+  return Number.isFinite(since) && Math.floor(new Date(lastModified).getTime() / 1000) <= since / 1000;
+}
+
+/**
+ * Serve `key` from `area` (media.videos / media.uploads). Returns once the
+ * response is handed off; a missing file answers 404.
+ */
+export async function serveStoredFile(req, res, area, key, { contentType, cacheControl } = {}) {
+  const stat = await area.stat(key);
+  if (!stat) return res.status(404).end("Missing file");
+
+  const size = stat.size;
+  const etag = etagFor(stat);
+  const lastModified = stat.lastModified ? new Date(stat.lastModified) : null;
+
+  res.set("Accept-Ranges", "bytes");
+  res.set("Content-Type", contentType || stat.contentType || "application/octet-stream");
+  res.set("ETag", etag);
+  if (lastModified) res.set("Last-Modified", lastModified.toUTCString());
+  if (cacheControl) res.set("Cache-Control", cacheControl);
+
+  // req.fresh evaluates If-None-Match / If-Modified-Since against the headers above
+  if (req.fresh) return res.status(304).end();
+
+  let start = 0;
+  let end = size - 1;
+  let partial = false;
+
+  if (req.headers.range && ifRangeMatches(req, etag, lastModified)) {
+    const ranges = req.range(size, { combine: true });
+    if (ranges === -1 || (size === 0 && ranges !== -2)) {
+      res.set("Content-Range", `bytes */${size}`);
+      return res.status(416).end();
+    }
+    if (ranges !== -2 && ranges.type === "bytes" && ranges.length === 1) {
+      start = ranges[0].start;
+      end = ranges[0].end;
+      partial = true;
+    }
+  }
+
+  const length = size === 0 ? 0 : end - start + 1;
+  res.status(partial ? 206 : 200);
+  if (partial) res.set("Content-Range", `bytes ${start}-${end}/${size}`);
+  res.set("Content-Length", String(length));
+
+  if (req.method === "HEAD" || length === 0) return res.end();
+
+  // open before writing anything so a storage error can still become a 500
+  const body = await area.getStream(key, { start, end });
+  body.on("error", (e) => {
+    console.error("stream read error:", key, e?.message || e);
+    res.destroy(e);
+  });
+  res.on("close", () => body.destroy?.());
+  body.pipe(res);
+}
@@ -0,0 +1,159 @@
+// server/src/mediaValidation.js
+import { probeMediaInfo } from "./mediaProbe.js";
+import { runFfmpeg } from "./ffmpeg.js";
+
+/**
+ * Upload gate: probe the file before it is queued, so renamed or corrupt files
+ * are refused with a 4xx instead of failing halfway through ffmpeg.
+ *
+ * Failures look like
+ *   { status: 422, body: { error: "...", code: "UNSUPPORTED_VIDEO_CODEC", details: {...} } }
+ *
+ * Limits (env):
+ *   UPLOAD_MAX_DURATION_SECONDS  default 14400 (4h)
+ *   UPLOAD_MAX_DIMENSION         longest side in px, default 4096
+ *   UPLOAD_VIDEO_CODECS          comma list, overrides the default allow-list
+ *   UPLOAD_AUDIO_CODECS          comma list, overrides the default allow-list
+ *   UPLOAD_DECODE_CHECK_SECONDS  seconds actually decoded as a smoke test, default 5 (0 = off)
+ */
+
+const MAX_DURATION_SECONDS = Number(process.env.UPLOAD_MAX_DURATION_SECONDS || 4 * 60 * 60);
+const MAX_DIMENSION = Number(process.env.UPLOAD_MAX_DIMENSION || 4096);
+const DECODE_CHECK_SECONDS = Number(process.env.UPLOAD_DECODE_CHECK_SECONDS ?? 5);
+
+function codecList(raw, fallback) {
+  const list = String(raw || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return new Set(list.length ? list : fallback);
+}
+
+const VIDEO_CODECS = codecList(process.env.UPLOAD_VIDEO_CODECS, [
+  "h264", "hevc", "vp8", "vp9", "av1", "mpeg4", "mpeg2video", "mpeg1video",
+  "prores", "dnxhd", "mjpeg", "theora", "wmv2", "wmv3", "vc1",
+]);
+const AUDIO_CODECS = codecList(process.env.UPLOAD_AUDIO_CODECS, [
+  "aac", "mp3", "mp2", "opus", "vorbis", "flac", "alac", "ac3", "eac3", "wmav2",
+]);
+
+function allowedAudioCodec(codec) {
+  // every PCM flavour (pcm_s16le, pcm_f32be, ...) is fine
+  return AUDIO_CODECS.has(codec) || codec.startsWith("pcm_");
+}
+
+function reject(status, code, error, details) {
+  return { status, body: { error, code, ...(details ? { details } : {}) } };
+}
+
+// Decode the first few seconds; catches files whose headers probe fine but whose data doesn't
+async function decodeCheck(input, seconds) {
+  try {
+    await runFfmpeg(["-v", "error", "-t", String(seconds), "-i", input, "-f", "null", "-"]);
+    return { ok: true };
+  } catch (e) {
+    // ffmpeg missing etc. is our problem, not the upload's
+    if (e.exitCode == null) throw e;
+    return { ok: false, error: String(e.stderr || "").slice(-4000).trim() };
+  }
+}
+
+/**
+ * Check probed media against the upload policy.
+ * Returns null when acceptable, otherwise { status, body }.
+ */
+export function checkMediaInfo(info, { mediaType }) {
+  if (!info || info.streamCount === 0 || (!info.hasVideo && !info.hasAudio)) {
+    return reject(400, "NO_STREAMS", "File has no audio or video streams");
+  }
+
+  if (mediaType === "video" && !info.hasVideo) {
+    return reject(422, "NO_VIDEO_STREAM", "Video uploads must contain a video stream");
+  }
+  if (mediaType === "audio" && !info.hasAudio) {
+    return reject(422, "NO_AUDIO_STREAM", "Audio uploads must contain an audio stream");
+  }
+
+  if (info.hasVideo) {
+    const codec = String(info.videoCodec || "").toLowerCase();
+    if (!codec || !VIDEO_CODECS.has(codec)) {
+      return reject(415, "UNSUPPORTED_VIDEO_CODEC", `Video codec "${codec || "unknown"}" is not supported`, {
+        codec: codec || null,
+        allowed: [...VIDEO_CODECS],
+      });
+    }
+
+    const w = Number(info.width);
+    const h = Number(info.height);
+    if (!(w > 0 && h > 0)) {
+      return reject(400, "UNREADABLE_MEDIA", "Could not read the video resolution");
+    }
+    if (Math.max(w, h) > MAX_DIMENSION) {
+      return reject(422, "RESOLUTION_TOO_HIGH", `Resolution ${w}x${h} is above the ${MAX_DIMENSION}px limit`, {
+        width: w,
+        height: h,
+        maxDimension: MAX_DIMENSION,
+      });
+    }
+  }
+
+  if (info.hasAudio) {
+    const codec = String(info.audioCodec || "").toLowerCase();
+    if (!codec || !allowedAudioCodec(codec)) {
+      return reject(415, "UNSUPPORTED_AUDIO_CODEC", `Audio codec "${codec || "unknown"}" is not supported`, {
+        codec: codec || null,
+        allowed: [...AUDIO_CODECS, "pcm_*"],
+      });
+    }
+  }
+
+  const duration = Number(info.durationSeconds);
+  if (!(duration > 0)) {
+    return reject(400, "UNKNOWN_DURATION", "Could not determine the media duration");
+  }
+  if (duration > MAX_DURATION_SECONDS) {
+    return reject(422, "DURATION_TOO_LONG", `Media is longer than the ${MAX_DURATION_SECONDS}s limit`, {
+      durationSeconds: duration,
+      maxDurationSeconds: MAX_DURATION_SECONDS,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Probe + policy check + short decode. `input` is a local path or an http(s) URL
+ * (e.g. a presigned GET for direct uploads).
+ * Returns { ok: true, mediaInfo } or { ok: false, status, body }.
+ */
+export async function validateUploadMedia(input, { mediaType }) {
+  let info;
+  try {
+    info = await probeMediaInfo(input);
+  } catch (e) {
+    if (e?.code === "ENOENT") throw e;
+    return {
+      ok: false,
+      ...reject(400, "UNREADABLE_MEDIA", "File is not a readable audio/video file", {
+        probe: String(e?.message || "").slice(0, 500),
+      }),
+    };
+  }
+
+  const problem = checkMediaInfo(info, { mediaType });
+  if (problem) return { ok: false, ...problem };
+
+  if (DECODE_CHECK_SECONDS > 0) {
+    const dec = await decodeCheck(input, DECODE_CHECK_SECONDS);
+    if (!dec.ok) {
+      return {
+        ok: false,
+        ...reject(400, "CORRUPT_MEDIA", "File could not be decoded", {
+          decode: String(dec.error || "").slice(0, 500),
+        }),
+      };
+    }
+  }
+
+  return { ok: true, mediaInfo: info };
+}
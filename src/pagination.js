@@ -0,0 +1,122 @@
+// server/src/pagination.js
+
+/**
+ * Keyset ("cursor") pagination for video listings.
+ *
+ * Every sort ends in v.id so the order is total, and the next page starts
+ * strictly after the last row's keys -- rows inserted meanwhile land before or
+ * after the cursor but never shift or repeat what's already been seen.
+ *
+ * The cursor is opaque to clients: base64url JSON of { s: sort, k: [keys] },
+ * where the keys are the last row's sort values as text, exactly as Postgres
+ * printed them (timestamp microseconds, numeric averages and float4 ranks
+ * would not survive a trip through JS numbers/Dates).
+ */
+
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+
+// Each key: SQL expression + the type its cursor value is cast back to.
+// All keys of one sort share a direction, so a row comparison does the seek.
+const SORTS = {
+  newest: {
+    dir: "DESC",
+    keys: [
+      { expr: "v.created_at", type: "timestamptz" },
+      { expr: "v.id", type: "text" },
+    ],
+  },
+  oldest: {
+    dir: "ASC",
+    keys: [
+      { expr: "v.created_at", type: "timestamptz" },
+      { expr: "v.id", type: "text" },
+    ],
+  },
+  views: {
+    dir: "DESC",
+    keys: [
+      { expr: "COALESCE(v.views, 0)", type: "bigint" },
+      { expr: "v.created_at", type: "timestamptz" },
+      { expr: "v.id", type: "text" },
+    ],
+  },
+  // needs `LEFT JOIN video_rating_stats vrs`
+  highest: {
+    dir: "DESC",
+    keys: [
+      { expr: "COALESCE(vrs.rating_avg, 0)", type: "numeric" },
+      { expr: "COALESCE(vrs.rating_count, 0)", type: "bigint" },
+      { expr: "v.created_at", type: "timestamptz" },
+      { expr: "v.id", type: "text" },
+    ],
+  },
+  // search only: `rankExpr` is the ts_rank(...) expression of the query
+  relevance: {
+    dir: "DESC",
+    keys: [
+      { expr: null, type: "real" },
+      { expr: "v.created_at", type: "timestamptz" },
+      { expr: "v.id", type: "text" },
+    ],
+  },
+};
+
+export const LISTING_SORTS = new Set(["newest", "oldest", "views", "highest"]);
+
+export function parsePageLimit(raw, { fallback = DEFAULT_PAGE_SIZE, max = MAX_PAGE_SIZE } = {}) {
+  const n = Math.floor(Number(raw));
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(n, max);
+}
+
+function encodeCursor(sort, keys) {
+  return Buffer.from(JSON.stringify({ s: sort, k: keys })).toString("base64url");
+}
+
+// -> key values, or null if the cursor is malformed or from another sort
+export function decodeCursor(raw, sort) {
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (!c || c.s !== sort || !Array.isArray(c.k) || c.k.length !== SORTS[sort]?.keys.length) return null;
+    if (c.k.some((v) => typeof v !== "string")) return null;
+    return c.k;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * SQL pieces for one page of `sort`, with cursor params numbered from `firstParam`:
+ *   { select, orderBy, where, params }
+ * `select` adds the page_key column pageOf reads; `where` is null on page one.
+ */
+export function keysetQuery(sort, { cursorKeys = null, firstParam = 1, rankExpr = null } = {}) {
+  const def = SORTS[sort];
+  if (!def) throw new Error(`Unknown sort: ${sort}`);
+
+  const exprs = def.keys.map((k) => k.expr ?? rankExpr);
+  if (exprs.some((e) => !e)) throw new Error(`Sort ${sort} needs a rank expression`);
+
+  const select = `json_build_array(${exprs.map((e) => `(${e})::text`).join(", ")}) AS page_key`;
+  const orderBy = exprs.map((e) => `${e} ${def.dir}`).join(", ");
+
+  if (!cursorKeys) return { select, orderBy, where: null, params: [] };
+
+  const placeholders = def.keys.map((k, idx) => `$${firstParam + idx}::${k.type}`);
+  const op = def.dir === "DESC" ? "<" : ">";
+  return {
+    select,
+    orderBy,
+    where: `(${exprs.join(", ")}) ${op} (${placeholders.join(", ")})`,
+    params: cursorKeys,
+  };
+}
+
+// rows fetched with LIMIT limit + 1 -> { rows, nextCursor }
+export function pageOf(rows, limit, sort) {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit && last ? encodeCursor(sort, last.page_key) : null;
+  return { rows: page, nextCursor };
+}
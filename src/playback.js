@@ -0,0 +1,100 @@
+// server/src/playback.js
+import crypto from "crypto";
+import path from "path";
+
+/**
+ * Expiring playback URLs for videos that aren't public (private, unlisted,
+ * library). Public videos keep their permanent storage/CDN URLs; the others'
+ * media is stored under private/ (providers/media.js), which has none.
+ *
+ * A token is `<expiresAt>.<hmac(videoId:expiresAt)>` and sits in the path
+ * (/videos/:id/signed/:token/master.m3u8), so every relative URI inside the
+ * master -- variant playlists, segments, DASH, storyboard, subtitles -- resolves
+ * under the same token without rewriting. When the storage is remote, the
+ * playlists we serve point segments at presigned storage URLs instead, so the
+ * bytes don't go through the app. Encrypted HLS keys are fetched with the same
+ * token (/videos/:id/hls.key?token=...).
+ *
+ *   PLAYBACK_SIGNING_SECRET   HMAC key; without it a per-process key is used and
+ *                             URLs stop working on restart
+ *   PLAYBACK_URL_TTL_SECONDS  default 3600
+ */
+
+export const PLAYBACK_URL_TTL_SECONDS = Math.max(60, Number(process.env.PLAYBACK_URL_TTL_SECONDS || 3600));
+
+const SECRET = process.env.PLAYBACK_SIGNING_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.PLAYBACK_SIGNING_SECRET) {
+  console.warn("[playback] PLAYBACK_SIGNING_SECRET not set; signed URLs won't survive a restart");
+}
+
+export function isPublicVideo(v) {
+  return (v.visibility || "public") === "public" && v.asset_scope !== "library";
+}
+
+// Which side of private/ the media belongs on: trashed videos go there too, so
+// their permanent URLs stop working while they sit in the trash
+export function isStoredPrivate(v) {
+  return !!v.deleted_at || !isPublicVideo(v);
+}
+
+// Same rules as the stream/detail routes: library + non-public are owner-only
+export function canWatchVideo(req, v) {
+  if (isPublicVideo(v)) return true;
+  const requesterId = req.user?.id != null ? Number(req.user.id) : null;
+  return requesterId != null && requesterId === Number(v.user_id);
+}
+
+function hmac(videoId, expiresAt) {
+  return crypto.createHmac("sha256", SECRET).update(`${videoId}:${expiresAt}`).digest("base64url");
+}
+
+export function signPlaybackToken(videoId, ttlSeconds = PLAYBACK_URL_TTL_SECONDS) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return { token: `${expiresAt}.${hmac(String(videoId), expiresAt)}`, expiresAt };
+}
+
+// -> expiresAt (unix seconds) or null when the token is bad/expired
+export function verifyPlaybackToken(token, videoId) {
+  const m = /^(\d{1,12})\.([A-Za-z0-9_-]{43})$/.exec(String(token || ""));
+  if (!m) return null;
+  const expiresAt = Number(m[1]);
+  if (expiresAt < Date.now() / 1000) return null;
+  const want = Buffer.from(hmac(String(videoId), expiresAt));
+  const got = Buffer.from(m[2]);
+  return crypto.timingSafeEqual(want, got) ? expiresAt : null;
+}
+
+const isRelativeUri = (uri) => !!uri && !/^([a-z][a-z0-9+.-]*:|\/)/i.test(uri);
+
+/**
+ * Rewrite an HLS playlist stored at `playlistKey` for one response:
+ *   keyUri      replaces the URI of every EXT-X-KEY (encrypted HLS, see hls.js)
+ *   segmentUrl  async key -> URL for relative segment URIs (and URI="..." attributes
+ *               like EXT-X-MAP); nested playlists stay relative so they come back
+ *               through the app
+ */
+export async function rewritePlaylist(text, playlistKey, { keyUri = null, segmentUrl = null } = {}) {
+  const dir = path.posix.dirname(playlistKey);
+
+  const rewrite = async (uri) => {
+    if (!segmentUrl || !isRelativeUri(uri) || /\.m3u8(\?|$)/i.test(uri)) return uri;
+    const key = path.posix.normalize(`${dir}/${uri}`);
+    if (!key.startsWith(`${dir}/`)) return uri;
+    return (await segmentUrl(key)) || uri;
+  };
+
+  const lines = String(text).split(/\r?\n/);
+  const out = await Promise.all(
+    lines.map(async (line) => {
+      const t = line.trim();
+      if (!t) return line;
+      if (!t.startsWith("#")) return rewrite(t);
+
+      const m = /URI="([^"]*)"/.exec(line);
+      if (!m) return line;
+      if (t.startsWith("#EXT-X-KEY:")) return keyUri ? line.replace(m[0], `URI="${keyUri}"`) : line;
+      return line.replace(m[0], `URI="${await rewrite(m[1])}"`);
+    })
+  );
+  return out.join("\n");
+}
@@ -0,0 +1,475 @@
+// server/src/resumableUploads.js
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { v4 as uuid } from "uuid";
+
+/**
+ * Resumable chunked uploads (create -> PATCH chunks -> complete).
+ *
+ *   POST   /api/uploads                 { filename, size, mimetype, checksum?, ...upload fields }
+ *   GET    /api/uploads/:id             -> { offset, size, status }   (resume point)
+ *   PATCH  /api/uploads/:id             raw bytes, headers Upload-Offset (+ optional Upload-Checksum)
+ *   POST   /api/uploads/:id/complete    -> probes the file, queues the same "upload" job as /api/videos/upload
+ *   DELETE /api/uploads/:id             abort
+ *
+ * Bytes are appended to VIDEO_DIR/sessions/<id>.part. A chunk is only accepted
+ * when Upload-Offset matches what we have on disk; a chunk whose checksum
+ * doesn't match is truncated away so the client can simply resend it.
+ *
+ * Upload-Checksum uses the tus format: "<algo> <base64 digest>" (md5, sha1, sha256).
+ * The optional `checksum` on create is the sha256 hex of the whole file, verified on complete.
+ *
+ * Sessions expire UPLOAD_SESSION_TTL_HOURS after creation. The sweeper drops expired
+ * sessions and stray .part files every UPLOAD_SWEEP_MINUTES (default 15);
+ * UPLOAD_SWEEPER=0 turns it off.
+ */
+
+const CHUNK_MAX_BYTES = Number(process.env.UPLOAD_CHUNK_MAX_BYTES || 64 * 1024 * 1024); // 64MB
+const SESSION_TTL_HOURS = Number(process.env.UPLOAD_SESSION_TTL_HOURS || 24);
+const SWEEP_MS = Math.max(1, Number(process.env.UPLOAD_SWEEP_MINUTES || 15)) * 60 * 1000;
+
+const CHECKSUM_ALGOS = new Set(["md5", "sha1", "sha256"]);
+
+function parseChecksumHeader(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  const [algo, digest] = raw.split(/\s+/);
+  const a = String(algo || "").toLowerCase();
+  if (!CHECKSUM_ALGOS.has(a) || !digest) return { error: "Upload-Checksum must be '<md5|sha1|sha256> <base64>'" };
+  return { algo: a, digest };
+}
+
+function toApiSession(s) {
+  return {
+    id: s.id,
+    status: s.status,
+    filename: s.filename,
+    size: Number(s.size_bytes),
+    offset: Number(s.offset_bytes),
+    jobId: s.job_id || null,
+    expiresAt: s.expires_at,
+    createdAt: s.created_at,
+    updatedAt: s.updated_at,
+  };
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (d) => h.update(d))
+      .on("error", reject)
+      .on("end", () => resolve(h.digest("hex")));
+  });
+}
+
+export function registerResumableUploads(app, deps = {}) {
+  const {
+    pool,
+    requireAuth,
+    VIDEO_DIR,
+    MAX_UPLOAD_BYTES,
+    isAllowedMediaFile,
+    resolveUploadFields,
+    makeStoredFilename,
+    enqueueVideoJob,
+    validateUploadMedia,
+  } = deps;
+
+  if (!pool) throw new Error("registerResumableUploads: missing pool");
+  if (!requireAuth) throw new Error("registerResumableUploads: missing requireAuth");
+  if (!VIDEO_DIR) throw new Error("registerResumableUploads: missing VIDEO_DIR");
+  if (!MAX_UPLOAD_BYTES) throw new Error("registerResumableUploads: missing MAX_UPLOAD_BYTES");
+  if (!isAllowedMediaFile) throw new Error("registerResumableUploads: missing isAllowedMediaFile");
+  if (!resolveUploadFields) throw new Error("registerResumableUploads: missing resolveUploadFields");
+  if (!makeStoredFilename) throw new Error("registerResumableUploads: missing makeStoredFilename");
+  if (!enqueueVideoJob) throw new Error("registerResumableUploads: missing enqueueVideoJob");
+  if (!validateUploadMedia) throw new Error("registerResumableUploads: missing validateUploadMedia");
+
+  const SESSION_DIR = path.join(VIDEO_DIR, "sessions");
+  fs.mkdirSync(SESSION_DIR, { recursive: true });
+
+  const partPath = (id) => path.join(SESSION_DIR, `${id}.part`);
+
+  // a session only accepts one chunk at a time (per process; the DB offset check covers the rest)
+  const writing = new Set();
+
+  async function loadOwnSession(req, res) {
+    const r = await pool.query(`SELECT * FROM upload_sessions WHERE id = $1 LIMIT 1`, [
+      String(req.params.id || ""),
+    ]);
+    const s = r.rows[0];
+    if (!s || Number(s.user_id) !== Number(req.user.id)) {
+      res.status(404).json({ error: "Upload session not found" });
+      return null;
+    }
+    return s;
+  }
+
+  async function jobStatus(jobId) {
+    if (!jobId) return "queued";
+    const r = await pool.query(`SELECT status FROM video_jobs WHERE id = $1`, [String(jobId)]);
+    return r.rows[0]?.status || "queued";
+  }
+
+  // -------------------------
+  // Create session
+  // -------------------------
+  app.post("/api/uploads", requireAuth, async (req, res) => {
+    try {
+      const userId = Number(req.user.id);
+      const filename = String(req.body?.filename || "").trim();
+      const mimetype = String(req.body?.mimetype || "").trim();
+      const size = Number(req.body?.size);
+      const checksum = String(req.body?.checksum || "").trim().toLowerCase();
+
+      if (!filename) return res.status(400).json({ error: "filename is required" });
+      if (!Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({ error: "size must be a positive integer (bytes)" });
+      }
+      if (size > MAX_UPLOAD_BYTES) return res.status(413).json({ error: "File too large" });
+      if (checksum && !/^[a-f0-9]{64}$/.test(checksum)) {
+        return res.status(400).json({ error: "checksum must be a sha256 hex digest" });
+      }
+
+      const file = { mimetype, originalname: filename };
+      if (!isAllowedMediaFile(file)) {
+        return res.status(400).json({ error: "Only video/audio files allowed" });
+      }
+
+      const { error, fields } = await resolveUploadFields(req.body, file);
+      if (error) return res.status(400).json({ error });
+
+      const id = uuid();
+      fs.writeFileSync(partPath(id), "");
+
+      const r = await pool.query(
+        `
+        INSERT INTO upload_sessions (
+          id, user_id, filename, mimetype, size_bytes, checksum, fields, expires_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, now() + ($8 || ' hours')::interval)
+        RETURNING *
+        `,
+        [id, userId, filename, mimetype, size, checksum || null, JSON.stringify(fields), SESSION_TTL_HOURS]
+      );
+
+      res.set("Upload-Offset", "0");
+      return res.status(201).json({ ...toApiSession(r.rows[0]), chunkMaxBytes: CHUNK_MAX_BYTES });
+    } catch (e) {
+      console.error("POST /api/uploads error:", e);
+      return res.status(500).json({ error: "Failed to create upload session" });
+    }
+  });
+
+  // -------------------------
+  // Session status (where to resume from)
+  // -------------------------
+  app.get("/api/uploads/:id", requireAuth, async (req, res) => {
+    try {
+      const s = await loadOwnSession(req, res);
+      if (!s) return;
+
+      res.set("Upload-Offset", String(Number(s.offset_bytes)));
+      res.set("Cache-Control", "no-store");
+      return res.json(toApiSession(s));
+    } catch (e) {
+      console.error("GET /api/uploads/:id error:", e);
+      return res.status(500).json({ error: "Failed to load upload session" });
+    }
+  });
+
+  // -------------------------
+  // Append a chunk
+  // -------------------------
+  app.patch("/api/uploads/:id", requireAuth, async (req, res) => {
+    const id = String(req.params.id || "");
+    let locked = false;
+
+    try {
+      const s = await loadOwnSession(req, res);
+      if (!s) return;
+
+      if (s.status !== "uploading") {
+        return res.status(409).json({ error: `Upload session is ${s.status}` });
+      }
+      if (new Date(s.expires_at).getTime() < Date.now()) {
+        return res.status(410).json({ error: "Upload session expired" });
+      }
+
+      const size = Number(s.size_bytes);
+      const currentOffset = Number(s.offset_bytes);
+      const clientOffset = Number(req.get("Upload-Offset"));
+
+      if (!Number.isInteger(clientOffset) || clientOffset !== currentOffset) {
+        res.set("Upload-Offset", String(currentOffset));
+        return res.status(409).json({ error: "Upload-Offset mismatch", offset: currentOffset });
+      }
+
+      const checksum = parseChecksumHeader(req.get("Upload-Checksum"));
+      if (checksum?.error) return res.status(400).json({ error: checksum.error });
+
+      if (writing.has(id)) {
+        res.set("Upload-Offset", String(currentOffset));
+        return res.status(409).json({ error: "Another chunk is being written", offset: currentOffset });
+      }
+      writing.add(id);
+      locked = true;
+
+      const filePath = partPath(id);
+      if (!fs.existsSync(filePath)) return res.status(410).json({ error: "Upload data missing" });
+
+      // the file on disk is the source of truth: drop anything past the recorded offset
+      if (fs.statSync(filePath).size !== currentOffset) fs.truncateSync(filePath, currentOffset);
+
+      const maxChunk = Math.min(CHUNK_MAX_BYTES, size - currentOffset);
+      const hash = checksum ? crypto.createHash(checksum.algo) : null;
+      let received = 0;
+
+      const meter = new Transform({
+        transform(chunk, _enc, cb) {
+          received += chunk.length;
+          if (received > maxChunk) return cb(new Error("CHUNK_TOO_LARGE"));
+          hash?.update(chunk);
+          cb(null, chunk);
+        },
+      });
+
+      try {
+        await pipeline(
+          req,
+          meter,
+          fs.createWriteStream(filePath, { flags: "r+", start: currentOffset })
+        );
+      } catch (e) {
+        fs.truncateSync(filePath, currentOffset);
+        res.set("Upload-Offset", String(currentOffset));
+        if (e?.message === "CHUNK_TOO_LARGE") {
+          return res.status(413).json({ error: `Chunk exceeds ${maxChunk} bytes`, offset: currentOffset });
+        }
+        throw e;
+      }
+
+      if (hash && hash.digest("base64") !== checksum.digest) {
+        fs.truncateSync(filePath, currentOffset);
+        res.set("Upload-Offset", String(currentOffset));
+        return res.status(400).json({ error: "Chunk checksum mismatch", offset: currentOffset });
+      }
+
+      const nextOffset = currentOffset + received;
+
+      const upd = await pool.query(
+        `
+        UPDATE upload_sessions
+        SET offset_bytes = $3, updated_at = now()
+        WHERE id = $1 AND offset_bytes = $2
+        RETURNING *
+        `,
+        [id, currentOffset, nextOffset]
+      );
+
+      if (!upd.rows[0]) {
+        // someone else moved the offset (another instance); ours is void
+        fs.truncateSync(filePath, currentOffset);
+        return res.status(409).json({ error: "Upload-Offset mismatch" });
+      }
+
+      res.set("Upload-Offset", String(nextOffset));
+      return res.json(toApiSession(upd.rows[0]));
+    } catch (e) {
+      console.error("PATCH /api/uploads/:id error:", e);
+      if (res.headersSent) return;
+      return res.status(500).json({ error: "Failed to write chunk" });
+    } finally {
+      if (locked) writing.delete(id);
+    }
+  });
+
+  // -------------------------
+  // Complete -> hand off to the upload job
+  // -------------------------
+  app.post("/api/uploads/:id/complete", requireAuth, async (req, res) => {
+    const id = String(req.params.id || "");
+
+    try {
+      const s = await loadOwnSession(req, res);
+      if (!s) return;
+
+      if (s.status === "completed") {
+        return res.status(202).json({ ok: true, jobId: s.job_id, status: await jobStatus(s.job_id) });
+      }
+      if (s.status !== "uploading") {
+        return res.status(409).json({ error: `Upload session is ${s.status}` });
+      }
+      if (writing.has(id)) return res.status(409).json({ error: "A chunk is still being written" });
+
+      const size = Number(s.size_bytes);
+      const offset = Number(s.offset_bytes);
+      if (offset !== size) {
+        return res.status(409).json({ error: "Upload is incomplete", offset, size });
+      }
+
+      const filePath = partPath(id);
+      if (!fs.existsSync(filePath) || fs.statSync(filePath).size !== size) {
+        return res.status(410).json({ error: "Upload data missing" });
+      }
+
+      if (s.checksum) {
+        const actual = await sha256File(filePath);
+        if (actual !== s.checksum) {
+          return res.status(400).json({ error: "File checksum mismatch" });
+        }
+      }
+
+      // the bytes are all there; refuse anything ffmpeg won't be able to ingest
+      const checked = await validateUploadMedia(filePath, { mediaType: s.fields?.mediaType });
+      if (!checked.ok) {
+        await pool.query(
+          `UPDATE upload_sessions SET status = 'aborted', updated_at = now() WHERE id = $1 AND status = 'uploading'`,
+          [id]
+        );
+        try { fs.rmSync(filePath, { force: true }); } catch {}
+        console.log(`[uploads ${id}] rejected`, checked.body);
+        return res.status(checked.status).json(checked.body);
+      }
+
+      // claim the session before moving the file so a double "complete" can't queue twice
+      const claim = await pool.query(
+        `
+        UPDATE upload_sessions
+        SET status = 'completed', updated_at = now()
+        WHERE id = $1 AND status = 'uploading'
+        RETURNING id
+        `,
+        [id]
+      );
+      if (!claim.rows[0]) return res.status(409).json({ error: "Upload session already completed" });
+
+      const storedFilename = makeStoredFilename(s.filename);
+      const sourcePath = path.join(VIDEO_DIR, storedFilename);
+      fs.renameSync(filePath, sourcePath);
+
+      let job;
+      try {
+        job = await enqueueVideoJob({
+          userId: Number(req.user.id),
+          kind: "upload",
+          payload: {
+            sourcePath,
+            sourceFilename: storedFilename,
+            mimetype: s.mimetype || "",
+            originalname: s.filename,
+            ...(s.fields || {}),
+          },
+        });
+      } catch (e) {
+        // put the session back so "complete" can be retried
+        fs.renameSync(sourcePath, filePath);
+        await pool.query(
+          `UPDATE upload_sessions SET status = 'uploading', updated_at = now() WHERE id = $1`,
+          [id]
+        );
+        throw e;
+      }
+
+      await pool.query(`UPDATE upload_sessions SET job_id = $2, updated_at = now() WHERE id = $1`, [
+        id,
+        job.id,
+      ]);
+
+      console.log(`[uploads ${id}] complete -> job ${job.id}`, { storedFilename, size });
+      return res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+    } catch (e) {
+      console.error("POST /api/uploads/:id/complete error:", e);
+      return res.status(500).json({ error: "Failed to complete upload" });
+    }
+  });
+
+  // -------------------------
+  // Abort
+  // -------------------------
+  app.delete("/api/uploads/:id", requireAuth, async (req, res) => {
+    try {
+      const s = await loadOwnSession(req, res);
+      if (!s) return;
+
+      if (s.status !== "uploading") {
+        return res.status(409).json({ error: `Upload session is ${s.status}` });
+      }
+
+      await pool.query(
+        `UPDATE upload_sessions SET status = 'aborted', updated_at = now() WHERE id = $1`,
+        [s.id]
+      );
+      try { fs.rmSync(partPath(s.id), { force: true }); } catch {}
+
+      return res.json({ ok: true, id: s.id });
+    } catch (e) {
+      console.error("DELETE /api/uploads/:id error:", e);
+      return res.status(500).json({ error: "Failed to abort upload" });
+    }
+  });
+
+  // -------------------------
+  // Sweeper
+  // -------------------------
+  let timer = null;
+  let busy = false;
+
+  async function sweepExpiredSessions() {
+    const r = await pool.query(
+      `
+      DELETE FROM upload_sessions
+      WHERE status = 'uploading' AND expires_at < now()
+      RETURNING id
+      `
+    );
+    for (const row of r.rows) {
+      try { fs.rmSync(partPath(row.id), { force: true }); } catch {}
+    }
+    if (r.rows.length) console.log(`[uploads] dropped ${r.rows.length} expired session(s)`);
+
+    // .part files no live session owns (a crash mid-create, or between claiming complete and the move)
+    const live = await pool.query(`SELECT id FROM upload_sessions WHERE status = 'uploading'`);
+    const liveIds = new Set(live.rows.map((row) => String(row.id)));
+    const cutoff = Date.now() - SESSION_TTL_HOURS * 60 * 60 * 1000;
+    for (const name of fs.readdirSync(SESSION_DIR)) {
+      if (liveIds.has(name.replace(/\.part$/, ""))) continue;
+      const full = path.join(SESSION_DIR, name);
+      try {
+        if (fs.statSync(full).mtimeMs < cutoff) fs.rmSync(full, { force: true });
+      } catch {}
+    }
+  }
+
+  async function sweep() {
+    if (busy) return;
+    busy = true;
+
+    try {
+      await sweepExpiredSessions();
+    } catch (e) {
+      console.error("[uploads] sweep error:", e?.message || e);
+    } finally {
+      busy = false;
+    }
+  }
+
+  function startUploadSessionSweeper() {
+    if (timer) return;
+    if (process.env.UPLOAD_SWEEPER === "0") {
+      console.log("[uploads] sweeper disabled (UPLOAD_SWEEPER=0)");
+      return;
+    }
+
+    timer = setInterval(sweep, SWEEP_MS);
+    console.log(`[uploads] sweeper started (every ${SWEEP_MS / 60000}min)`);
+    sweep();
+  }
+
+  return { startUploadSessionSweeper };
+}
@@ -0,0 +1,175 @@
+// server/src/search.js
+
+/**
+ * Full-text search helpers (videos.search_vector, see migrations/015_video_search.sql).
+ *
+ * Queries use websearch_to_tsquery: plain words are ANDed, "quoted phrases",
+ * `or`, and -excluded words work like a web search box.
+ */
+
+export const SEARCH_CONFIG = "english";
+
+// ts_headline marks matches with these; escapeHighlight turns them into <mark>
+const HL_START = "\u0001";
+const HL_STOP = "\u0002";
+
+export const HEADLINE_OPTIONS = {
+  title: `StartSel=${HL_START}, StopSel=${HL_STOP}, HighlightAll=true`,
+  description: `StartSel=${HL_START}, StopSel=${HL_STOP}, MaxFragments=2, MaxWords=24, MinWords=8, FragmentDelimiter=" … "`,
+};
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// ts_headline output -> HTML-safe string with <mark> around the matches
+export function escapeHighlight(text) {
+  if (text == null) return null;
+  return String(text)
+    .replace(/[&<>"']/g, (c) => HTML_ESCAPES[c])
+    .split(HL_START)
+    .join("<mark>")
+    .split(HL_STOP)
+    .join("</mark>");
+}
+
+// -------------------------
+// Autocomplete: GET /api/search/suggest?q=&limit=
+// -------------------------
+
+const SUGGEST_DEFAULT = 8;
+const SUGGEST_MAX = 20;
+// below this many characters trigram similarity is mostly noise
+const FUZZY_MIN_LENGTH = 3;
+
+// what /api/videos lists (and searches)
+const PUBLIC_VIDEO = `
+  v.deleted_at IS NULL
+  AND v.visibility = 'public'
+  AND v.asset_scope = 'public'
+  AND v.media_type = 'video'
+`;
+
+const escapeLike = (s) => s.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+/**
+ * One query over titles, tags and channels. `match` holds the three WHERE
+ * conditions ($1 = the lowercased input or LIKE pattern, $2 = per-kind limit)
+ * and `score` how close each hit is (0 for plain prefix matches).
+ * Popularity: views for a title, views + uses for a tag, total views for a channel.
+ */
+function suggestSql(match, score) {
+  return `
+    SELECT kind, text, username, popularity, score FROM (
+      (
+        SELECT 'title' AS kind, v.title AS text, NULL::text AS username,
+          COALESCE(v.views, 0)::bigint AS popularity, ${score.title} AS score
+        FROM videos v
+        WHERE ${PUBLIC_VIDEO} AND ${match.title}
+        ORDER BY score DESC, popularity DESC
+        LIMIT $2
+      )
+      UNION ALL
+      (
+        SELECT 'tag', min(tag), NULL,
+          (SUM(COALESCE(v.views, 0)) + COUNT(*))::bigint AS popularity, max(${score.tag}) AS score
+        FROM videos v, unnest(COALESCE(v.tags, ARRAY[]::text[])) tag
+        WHERE ${PUBLIC_VIDEO} AND ${match.tag}
+        GROUP BY lower(tag)
+        ORDER BY score DESC, popularity DESC
+        LIMIT $2
+      )
+      UNION ALL
+      (
+        SELECT 'channel', COALESCE(NULLIF(pr.display_name, ''), u.username), u.username,
+          SUM(COALESCE(v.views, 0))::bigint AS popularity, ${score.channel} AS score
+        FROM users u
+        LEFT JOIN user_profiles pr ON pr.user_id = u.id
+        JOIN videos v ON v.user_id = u.id AND ${PUBLIC_VIDEO}
+        WHERE ${match.channel}
+        GROUP BY u.id, u.username, pr.display_name
+        ORDER BY score DESC, popularity DESC
+        LIMIT $2
+      )
+    ) s
+    ORDER BY score DESC, popularity DESC, text ASC
+  `;
+}
+
+const PREFIX_SQL = suggestSql(
+  {
+    title: `lower(v.title) LIKE $1`,
+    tag: `lower(tag) LIKE $1`,
+    channel: `(lower(u.username) LIKE $1 OR lower(pr.display_name) LIKE $1)`,
+  },
+  { title: "0::real", tag: "0::real", channel: "0::real" }
+);
+
+// pg_trgm: `<%` word similarity for titles, `%` similarity for short names
+const FUZZY_SQL = suggestSql(
+  {
+    title: `$1 <% lower(v.title)`,
+    tag: `lower(tag) % $1`,
+    channel: `(lower(u.username) % $1 OR lower(pr.display_name) % $1)`,
+  },
+  {
+    title: "word_similarity($1, lower(v.title))",
+    tag: "similarity(lower(tag), $1)",
+    channel: "GREATEST(similarity(lower(u.username), $1), similarity(lower(COALESCE(pr.display_name, '')), $1))",
+  }
+);
+
+function toSuggestion(row, corrected) {
+  return {
+    text: row.text,
+    type: row.kind,
+    ...(row.kind === "channel" ? { username: row.username } : {}),
+    popularity: Number(row.popularity) || 0,
+    corrected,
+  };
+}
+
+export function registerSearchSuggest(app, deps = {}) {
+  const { pool } = deps;
+
+  if (!pool) throw new Error("registerSearchSuggest: missing pool");
+
+  /**
+   * Prefix completions first; when they don't fill the list (typos), pg_trgm
+   * look-alikes follow, marked corrected: true. didYouMean is the closest
+   * look-alike when nothing matched the prefix at all.
+   */
+  app.get("/api/search/suggest", async (req, res) => {
+    try {
+      const q = String(req.query.q || "").trim().replace(/\s+/g, " ").slice(0, 100);
+      const limitRaw = Math.floor(Number(req.query.limit));
+      const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, SUGGEST_MAX) : SUGGEST_DEFAULT;
+      if (!q) return res.json({ q, suggestions: [], didYouMean: null });
+
+      const needle = q.toLowerCase();
+      const seen = new Set();
+      const suggestions = [];
+      const add = (row, corrected) => {
+        const k = `${row.kind}:${String(row.text).toLowerCase()}`;
+        if (seen.has(k) || suggestions.length >= limit) return;
+        seen.add(k);
+        suggestions.push(toSuggestion(row, corrected));
+      };
+
+      const prefix = await pool.query(PREFIX_SQL, [`${escapeLike(needle)}%`, limit]);
+      for (const row of prefix.rows) add(row, false);
+
+      let didYouMean = null;
+      if (suggestions.length < limit && needle.length >= FUZZY_MIN_LENGTH) {
+        const fuzzy = await pool.query(FUZZY_SQL, [needle, limit]);
+        const fresh = fuzzy.rows.filter((r) => String(r.text).toLowerCase() !== needle);
+        if (!prefix.rows.length && fresh.length) didYouMean = fresh[0].text;
+        for (const row of fresh) add(row, true);
+      }
+
+      res.set("Cache-Control", "public, max-age=60");
+      return res.json({ q, suggestions, didYouMean });
+    } catch (e) {
+      console.error("GET /api/search/suggest error:", e);
+      return res.status(500).json({ error: "Failed to load suggestions" });
+    }
+  });
+}
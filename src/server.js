@@ -13,19 +13,67 @@ import { pool } from "./db.js";
 
 import multer from "multer";
 import crypto from "crypto";
-import { spawn } from "child_process";
 import os from "os";
 
 import { registerGeneratePublish } from "./generatePublish.js";
 import { registerGenerateProjects } from "./generateProjects.js";
+import { registerVideoJobs } from "./videoJobs.js";
+import { registerResumableUploads } from "./resumableUploads.js";
+import { registerDirectUploads } from "./directUploads.js";
+import { registerCategories } from "./categories.js";
+import { probeMediaInfo, formatDurationText, qualityLabel, saveMediaInfo } from "./mediaProbe.js";
+import {
+  generateHls,
+  DASH_MANIFEST_NAME,
+  hlsEncryptionFor,
+  createHlsKey,
+  finalizeHlsEncryption,
+  discardHlsKey,
+  encryptHlsCopy,
+} from "./hls.js";
+import { generateStoryboard, STORYBOARD_VTT_NAME } from "./storyboard.js";
+import { registerCaptions } from "./captions.js";
+import { validateUploadMedia } from "./mediaValidation.js";
+import { registerTrash, trashPurgeAt } from "./trash.js";
+import {
+  PLAYBACK_URL_TTL_SECONDS,
+  isPublicVideo,
+  isStoredPrivate,
+  canWatchVideo,
+  signPlaybackToken,
+  verifyPlaybackToken,
+  rewritePlaylist,
+} from "./playback.js";
+import { serveStoredFile, mediaContentType } from "./mediaStream.js";
+import { runCmd } from "./ffmpeg.js";
+import { SEARCH_CONFIG, HEADLINE_OPTIONS, escapeHighlight, registerSearchSuggest } from "./search.js";
+import { LISTING_SORTS, parsePageLimit, decodeCursor, keysetQuery, pageOf } from "./pagination.js";
+import {
+  measureLoudness,
+  loudnormFilter,
+  parseNormalizeFlag,
+  saveLoudness,
+  writeNormalizedAudio,
+} from "./loudness.js";
+import {
+  registerThumbnails,
+  generateThumbnailCandidates,
+  thumbSizeKeys,
+  THUMB_SIZES,
+} from "./thumbnails.js";
 
 
-// ✅ S3 helpers (single import, consistent exports)
+// media storage driver (local fs / S3) -- all media reads and writes go through it
+import { media, scopedKey, isPrivateKey } from "../providers/media.js";
+
+// presigned browser uploads are S3-only (direct uploads)
 import {
-  uploadDirToS3,
-  uploadFileToS3,
-  deletePrefixFromS3,
-  deleteFromS3,
+  presignPutUrl,
+  createMultipartUpload,
+  presignUploadPartUrls,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  contentTypeForKey,
 } from "./aws/s3Helpers.js";
 
 const app = express();
@@ -120,9 +168,9 @@ const corsOptions = {
     return cb(new Error(`CORS blocked origin: ${origin}`));
   },
   credentials: true,
-  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
-  exposedHeaders: ["Content-Length", "Content-Range"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "Upload-Offset", "Upload-Checksum"],
+  exposedHeaders: ["Content-Length", "Content-Range", "Upload-Offset"],
 };
 
 app.use(cors(corsOptions));
@@ -153,11 +201,7 @@ const VIDEO_DIR = path.join(DATA_ROOT, "videos");
 fs.mkdirSync(THUMB_DIR, { recursive: true });
 fs.mkdirSync(VIDEO_DIR, { recursive: true });
 
-const VIDEO_SOURCE = process.env.VIDEO_SOURCE || "local"; // "local" | "aws"
-
-// CloudFront base URLs (optional)
-const CDN_UPLOADS_BASE_URL = (process.env.CDN_UPLOADS_BASE_URL || "").replace(/\/$/, "");
-const CDN_ASSETS_BASE_URL = (process.env.CDN_ASSETS_BASE_URL || "").replace(/\/$/, "");
+const VIDEO_SOURCE = media.driver; // "local" | "aws"
 
 // -------------------------
 // Session -> req.user
@@ -176,7 +220,7 @@ async function getUserFromSession(req) {
     COALESCE(COUNT(vr.rating)::int, 0) AS review_count
   FROM sessions s
   JOIN users u ON u.id = s.user_id
-  LEFT JOIN videos v ON v.user_id = u.id
+  LEFT JOIN videos v ON v.user_id = u.id AND v.deleted_at IS NULL
   LEFT JOIN video_ratings vr ON vr.video_id = v.id
   WHERE s.id = $1 AND s.expires_at > now()
   GROUP BY u.id
@@ -232,122 +276,123 @@ app.use("/api/profile", profileRouter);
 // -------------------------
 // Upload (multer) -> always to local disk first
 // -------------------------
+const MAX_UPLOAD_BYTES = 1024 * 1024 * 1024; // 1GB
+
+const VIDEO_EXTS = new Set([".mp4", ".mov", ".mkv", ".webm", ".avi", ".m4v", ".mpeg", ".mpg"]);
+const AUDIO_EXTS = new Set([".mp3", ".wav", ".m4a", ".aac", ".flac", ".ogg", ".opus"]);
+
+function isAllowedMediaFile({ mimetype, originalname }) {
+  const mime = String(mimetype || "");
+  const ext = path.extname(originalname || "").toLowerCase();
+
+  return (
+    mime.startsWith("video/") ||
+    mime.startsWith("audio/") ||
+    VIDEO_EXTS.has(ext) ||
+    AUDIO_EXTS.has(ext)
+  );
+}
+
+// Name used for files we keep in VIDEO_DIR
+function makeStoredFilename(originalname) {
+  const ext = path.extname(originalname || "").toLowerCase() || ".mp4";
+  return `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${ext}`;
+}
+
 const upload = multer({
   storage: multer.diskStorage({
     destination: (_req, _file, cb) => cb(null, VIDEO_DIR),
-    filename: (_req, file, cb) => {
-      const ext = path.extname(file.originalname).toLowerCase() || ".mp4";
-      const name = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${ext}`;
-      cb(null, name);
-    },
+    filename: (_req, file, cb) => cb(null, makeStoredFilename(file.originalname)),
   }),
-  limits: { fileSize: 1024 * 1024 * 1024 }, // 1GB
+  limits: { fileSize: MAX_UPLOAD_BYTES },
 
   fileFilter: (_req, file, cb) => {
-    const mimetype = String(file.mimetype || "");
-    const ext = path.extname(file.originalname || "").toLowerCase();
-
-    const commonVideoExts = new Set([".mp4", ".mov", ".mkv", ".webm", ".avi", ".m4v", ".mpeg", ".mpg"]);
-    const commonAudioExts = new Set([".mp3", ".wav", ".m4a", ".aac", ".flac", ".ogg", ".opus"]);
-
-    const ok =
-      mimetype.startsWith("video/") ||
-      mimetype.startsWith("audio/") ||
-      commonVideoExts.has(ext) ||
-      commonAudioExts.has(ext);
-
+    const ok = isAllowedMediaFile(file);
     cb(ok ? null : new Error("Only video/audio files allowed"), ok);
   },
 });
 
-// -------------------------
-// FFMPEG helpers
-// -------------------------
-function runCmd(cmd, args) {
-  // Print the exact command + arguments
-  console.log("RUN:", cmd, args.map((a) => (a === undefined ? "undefined" : JSON.stringify(a))).join(" "));
+const ALLOWED_VISIBILITY = new Set(["public", "private", "unlisted"]);
+
+// "a, B ,a" or ["a", "B"] -> ["a", "b"] (max 30, deduped, lowercase)
+function parseTags(raw) {
+  const list = Array.isArray(raw) ? raw.map(String) : String(raw || "").split(",");
+  return Array.from(
+    new Set(
+      list
+        .map((t) => t.trim().toLowerCase())
+        .filter(Boolean)
+        .slice(0, 30)
+    )
+  );
+}
+
+/**
+ * Validate + normalize the upload form fields (shared by every upload entry point).
+ * `file` is { mimetype, originalname } of the media being uploaded.
+ * Returns { error } or { fields } where fields is what the upload job payload needs.
+ */
+async function resolveUploadFields(body, file) {
+  const title = String(body?.title || "").trim();
+  const description = String(body?.description || "").trim();
+  const visibility = String(body?.visibility || "public").toLowerCase();
 
-  return new Promise((resolve, reject) => {
-    const p = spawn(cmd, args, { windowsHide: true });
+  let mediaType = String(body?.mediaType || "").toLowerCase().trim(); // don't default yet
+  const assetScope = String(body?.assetScope || "public").toLowerCase().trim();
 
-    let out = "";
-    let err = "";
+  // ✅ infer mediaType from the uploaded file if not provided (or wrong)
+  const mime = String(file?.mimetype || "");
+  const ext = path.extname(file?.originalname || "").toLowerCase();
 
-    p.stdout.on("data", (d) => (out += d.toString()));
-    p.stderr.on("data", (d) => (err += d.toString()));
+  const looksAudio = mime.startsWith("audio/") || AUDIO_EXTS.has(ext);
+  const looksVideo = mime.startsWith("video/") || VIDEO_EXTS.has(ext);
 
-    p.on("error", reject);
-    p.on("close", (code) => {
-      if (code === 0) resolve({ out, err });
-      else reject(new Error(err || `${cmd} exited with code ${code}`));
-    });
-  });
-}
+  if (!mediaType) {
+    mediaType = looksAudio ? "audio" : "video"; // fallback
+  } else {
+    // if user says "video" but it's clearly audio, correct it
+    if (mediaType === "video" && looksAudio && !looksVideo) mediaType = "audio";
+    if (mediaType === "audio" && looksVideo && !looksAudio) mediaType = "video";
+  }
 
-async function generateHls(inputPath, outDir) {
-  fs.mkdirSync(outDir, { recursive: true });
+  const allowedMedia = new Set(["video", "audio"]);
+  const allowedScope = new Set(["public", "library"]);
 
-  const vf0 =
-    "scale=854:480:force_original_aspect_ratio=decrease," +
-    "pad=854:480:(854-iw)/2:(480-ih)/2," +
-    "setsar=1,format=yuv420p";
+  if (!allowedMedia.has(mediaType)) return { error: "mediaType must be video or audio" };
+  if (!allowedScope.has(assetScope)) return { error: "assetScope must be public or library" };
+  if (!title) return { error: "Title is required" };
+  if (!ALLOWED_VISIBILITY.has(visibility)) {
+    return { error: "Visibility must be public, private, or unlisted" };
+  }
 
-  const vf1 =
-    "scale=1280:720:force_original_aspect_ratio=decrease," +
-    "pad=1280:720:(1280-iw)/2:(720-ih)/2," +
-    "setsar=1,format=yuv420p";
+  const category = await resolveCategorySlug(body?.category);
+  if (!category) return { error: "Unknown category" };
 
-  const args = [
-    "-y",
-    "-i", inputPath,
-
-    // Variant 0
-    "-map", "0:v:0",
-    "-map", "0:a?",
-    "-filter:v:0", vf0,
-    "-c:v:0", "libx264",
-    "-profile:v:0", "main",
-    "-crf:v:0", "20",
-    "-preset", "veryfast",
-    "-g", "48",
-    "-keyint_min", "48",
-    "-sc_threshold", "0",
-
-    // Variant 1
-    "-map", "0:v:0",
-    "-map", "0:a?",
-    "-filter:v:1", vf1,
-    "-c:v:1", "libx264",
-    "-profile:v:1", "main",
-    "-crf:v:1", "20",
-    "-preset", "veryfast",
-    "-g", "48",
-    "-keyint_min", "48",
-    "-sc_threshold", "0",
-
-    // Audio duplicate
-    "-c:a:0", "aac",
-    "-b:a:0", "128k",
-    "-ac:a:0", "2",
-    "-c:a:1", "aac",
-    "-b:a:1", "128k",
-    "-ac:a:1", "2",
-
-    // HLS
-    "-f", "hls",
-    "-hls_time", "4",
-    "-hls_playlist_type", "vod",
-    "-hls_flags", "independent_segments",
-    "-hls_segment_type", "mpegts",
-    "-hls_segment_filename", path.join(outDir, "v%v", "seg_%05d.ts"),
-    "-master_pl_name", "master.m3u8",
-    "-var_stream_map", "v:0,a:0 v:1,a:1",
-    path.join(outDir, "v%v", "playlist.m3u8"),
-  ];
+  // force private if library
+  const effectiveVisibility = assetScope === "library" ? "private" : visibility;
 
-  await runCmd("ffmpeg", args);
+  const tags = parseTags(body?.tags);
+
+  // EBU R128 loudnorm at ingest (LOUDNORM_DEFAULT when not sent)
+  const normalizeLoudness = parseNormalizeFlag(body?.normalizeLoudness);
+
+  return {
+    fields: {
+      title,
+      description,
+      category,
+      visibility: effectiveVisibility,
+      mediaType,
+      assetScope,
+      tags,
+      normalizeLoudness,
+    },
+  };
 }
 
+// -------------------------
+// FFMPEG helpers
+// -------------------------
 async function getVideoDurationSeconds(videoPath) {
   try {
     const { out } = await runCmd("ffprobe", [
@@ -490,44 +535,54 @@ async function getRatingStats(videoId) {
 }
 
 // -------------------------
-// DB fetches
+// Media info helper (resilient)
 // -------------------------
-async function fetchVideosFromDb() {
-  const result = await pool.query(
-    `
-    SELECT
-      v.id,
-      v.user_id,
-      v.title,
-      v.description,
-      v.category,
-      WHERE v.visibility = 'public'
-        AND v.asset_scope = 'public'
-        AND v.media_type = 'video'
-      v.filename,
-      v.thumb,
-      v.duration_text,
-      v.views,
-      v.media_type,
-      v.asset_scope,
-      v.filename,
-      v.tags,
-      v.created_at AS "createdAt",
-      v.updated_at AS "updatedAt",
-      u.username AS channel_username,
-      COALESCE(p.display_name, '') AS channel_display_name
-    FROM videos v
-    JOIN users u ON u.id = v.user_id
-    LEFT JOIN user_profiles p ON p.user_id = u.id
-    WHERE v.visibility = 'public'
-    ORDER BY v.created_at DESC
-    LIMIT 200
-    `
-  );
-  return result.rows;
+async function getMediaInfo(videoId) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT *
+      FROM video_media_info
+      WHERE video_id = $1::text
+      `,
+      [String(videoId)]
+    );
+
+    const m = result.rows[0];
+    if (!m) return null;
+
+    return {
+      durationSeconds: m.duration_seconds != null ? Number(m.duration_seconds) : null,
+      width: m.width,
+      height: m.height,
+      frameRate: m.frame_rate != null ? Number(m.frame_rate) : null,
+      videoCodec: m.video_codec,
+      audioCodec: m.audio_codec,
+      bitrate: m.bitrate != null ? Number(m.bitrate) : null,
+      hasVideo: !!m.has_video,
+      hasAudio: !!m.has_audio,
+      quality: m.has_video ? qualityLabel(m.width, m.height) : null,
+      loudness:
+        m.integrated_loudness != null
+          ? {
+              integrated: Number(m.integrated_loudness),
+              truePeak: m.true_peak != null ? Number(m.true_peak) : null,
+              range: m.loudness_range != null ? Number(m.loudness_range) : null,
+              normalized: !!m.loudness_normalized,
+            }
+          : null,
+    };
+  } catch (e) {
+    console.warn("getMediaInfo failed (fallback):", e.message);
+    return null;
+  }
 }
 
-async function fetchVideoById(videoId) {
+// -------------------------
+// DB fetches
+// -------------------------
+// includeTrashed: also rows in the trash (jobs that manage their storage)
+async function fetchVideoById(videoId, { includeTrashed = false } = {}) {
   const result = await pool.query(
     `
     SELECT
@@ -542,22 +597,30 @@ async function fetchVideoById(videoId) {
       v.filename,
       v.filename,
       v.thumb,
+      v.packaging,
+      v.has_storyboard,
+      (v.hls_key IS NOT NULL) AS hls_encrypted,
+      v.revision,
       v.duration_text,
       v.views,
       v.tags,
       v.asset_scope,
       v.media_type,
+      c.name AS category_name,
       v.created_at AS "createdAt",
       v.updated_at AS "updatedAt",
+      v.deleted_at,
       u.username AS channel_username,
       COALESCE(p.display_name, '') AS channel_display_name
     FROM videos v
     JOIN users u ON u.id = v.user_id
     LEFT JOIN user_profiles p ON p.user_id = u.id
+    LEFT JOIN categories c ON c.slug = v.category
     WHERE v.id::text = $1::text
+      AND ($2 OR v.deleted_at IS NULL)
     LIMIT 1
     `,
-    [String(videoId)]
+    [String(videoId), includeTrashed]
   );
 
   return result.rows[0] || null;
@@ -567,35 +630,76 @@ function baseUrl(req) {
   return `${req.protocol}://${req.get("host")}`;
 }
 
+// thumb key -> URL (storage public URL, the bundled placeholder otherwise)
+function thumbUrlFor(req, key) {
+  const b = baseUrl(req);
+  if (!key || key === "placeholder.jpg") return `${b}/thumbs/placeholder.jpg`;
+  return media.thumbs.publicUrl(key, req) || `${b}/thumbs/${key}`;
+}
+
+/**
+ * Public videos: permanent storage/CDN URL, else the app routes.
+ * Everything else: an expiring signed URL, and only for requesters who may watch.
+ */
+async function playbackUrlFor(req, v, isHls) {
+  const b = baseUrl(req);
+  const id = encodeURIComponent(v.id);
+
+  if (isPublicVideo(v)) {
+    // encrypted playlists need their key URI filled in by the app, so no direct URL
+    const direct = isHls && v.hls_encrypted ? null : (isHls ? media.uploads : media.videos).publicUrl(v.filename, req);
+    const playbackUrl =
+      direct ||
+      (isHls ? `${b}/videos/${id}/hls/master.m3u8` : `${b}/videos/${id}/stream`);
+    return { playbackUrl, playbackExpiresAt: null };
+  }
+
+  if (!canWatchVideo(req, v)) return { playbackUrl: null, playbackExpiresAt: null };
+
+  const { token, expiresAt } = signPlaybackToken(v.id);
+  const playbackExpiresAt = new Date(expiresAt * 1000).toISOString();
+  if (isHls) return { playbackUrl: `${b}/videos/${id}/signed/${token}/master.m3u8`, playbackExpiresAt };
+
+  // progressive files can be presigned directly when the storage supports it
+  const signed = await media.videos.signedUrl(v.filename, { expiresIn: PLAYBACK_URL_TTL_SECONDS });
+  return { playbackUrl: signed || `${b}/videos/${id}/stream?token=${token}`, playbackExpiresAt };
+}
+
 async function toApiVideo(req, v) {
   const b = baseUrl(req);
   const { ratingAvg, ratingCount } = await getRatingStats(v.id);
+  const mediaInfo = await getMediaInfo(v.id);
 
-  let playbackUrl = `${b}/videos/${v.id}/stream`;
+  const isHls = String(v.filename || "").endsWith("/master.m3u8");
+  const { playbackUrl, playbackExpiresAt } = await playbackUrlFor(req, v, isHls);
 
-  if (VIDEO_SOURCE === "aws") {
-    if (CDN_UPLOADS_BASE_URL) {
-      playbackUrl = `${CDN_UPLOADS_BASE_URL}/${v.filename}`;
-    } else if (process.env.S3_UPLOADS_BUCKET && process.env.AWS_REGION) {
-      playbackUrl = `https://${process.env.S3_UPLOADS_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${v.filename}`;
-    }
+  // HLS (always) + DASH (cmaf packaging) manifests live side by side
+  let hlsUrl = null;
+  let dashUrl = null;
+  if (isHls && playbackUrl) {
+    hlsUrl = playbackUrl;
+    if (v.packaging === "cmaf") dashUrl = playbackUrl.replace(/master\.m3u8$/, DASH_MANIFEST_NAME);
   }
 
-  const thumbUrl =
-    VIDEO_SOURCE === "aws" &&
-    v.thumb &&
-    v.thumb !== "placeholder.jpg" &&
-    CDN_ASSETS_BASE_URL
-      ? `${CDN_ASSETS_BASE_URL}/${v.thumb}`
-      : v.thumb
-      ? `${b}/thumbs/${v.thumb}`
-      : `${b}/thumbs/placeholder.jpg`;
+  // seek-bar sprite track (written next to master.m3u8)
+  const storyboardUrl =
+    hlsUrl && v.has_storyboard ? hlsUrl.replace(/master\.m3u8$/, STORYBOARD_VTT_NAME) : null;
+
+  const thumbUrl = thumbUrlFor(req, v.thumb);
+
+  // owner-picked thumbs come in every standard size
+  const sizeKeys = thumbSizeKeys(v.thumb);
+  const thumbSizes =
+    sizeKeys.length === THUMB_SIZES.length
+      ? THUMB_SIZES.map((s, i) => ({ ...s, url: thumbUrlFor(req, sizeKeys[i]) }))
+      : null;
 
   return {
     id: v.id,
     title: v.title,
     description: v.description || "",
-    category: v.category || "Other",
+    category: v.category_name || v.category || "Other",
+    categorySlug: v.category || "other",
     visibility: v.visibility || "public",
 
     channelUsername: v.channel_username,
@@ -604,7 +708,7 @@ async function toApiVideo(req, v) {
     createdAt: v.createdAt,
     updatedAt: v.updatedAt,
     views: v.views ?? null,
-    durationText: v.duration_text || null,
+    durationText: v.duration_text || formatDurationText(mediaInfo?.durationSeconds) || null,
     tags: Array.isArray(v.tags) ? v.tags : [],
     mediaType: v.media_type || "video",
     assetScope: v.asset_scope || "public",
@@ -612,11 +716,22 @@ async function toApiVideo(req, v) {
     ratingAvg,
     ratingCount,
 
+    mediaInfo,
+
     thumbUrl,
+    thumbSizes,
+    playbackExpiresAt,
     playbackUrl,
+    hlsUrl,
+    dashUrl,
+    storyboardUrl,
   };
 }
 
+const { resolveCategorySlug } = registerCategories(app, { pool });
+
+registerSearchSuggest(app, { pool });
+
 registerGenerateProjects(app, {
   pool,
   requireAuth,
@@ -625,9 +740,76 @@ registerGenerateProjects(app, {
 registerGeneratePublish(app, {
   pool,
   requireAuth,
-  uploadFileToS3,
+  resolveCategorySlug,
+  media,
+});
+
+const { enqueueVideoJob, startVideoJobWorker } = registerVideoJobs(app, {
+  pool,
+  requireAuth,
+  fetchVideoById,
+  toApiVideo,
+  handlers: {
+    upload: { run: processUploadJob, cleanup: cleanupUploadJob },
+    replace: { run: processReplaceJob, cleanup: cleanupUploadJob },
+    repackage: { run: processRepackageJob },
+  },
+});
+
+const { startUploadSessionSweeper } = registerResumableUploads(app, {
+  pool,
+  requireAuth,
+  VIDEO_DIR,
+  MAX_UPLOAD_BYTES,
+  isAllowedMediaFile,
+  resolveUploadFields,
+  makeStoredFilename,
+  enqueueVideoJob,
+  validateUploadMedia,
+});
+
+const { startDirectUploadSweeper } = registerDirectUploads(app, {
+  pool,
+  requireAuth,
   VIDEO_SOURCE,
   VIDEO_DIR,
+  MAX_UPLOAD_BYTES,
+  isAllowedMediaFile,
+  resolveUploadFields,
+  makeStoredFilename,
+  enqueueVideoJob,
+  validateUploadMedia,
+  media,
+  presignPutUrl,
+  createMultipartUpload,
+  presignUploadPartUrls,
+  completeMultipartUpload,
+  abortMultipartUpload,
+});
+
+const { rehomeCaptions } = registerCaptions(app, {
+  pool,
+  requireAuth,
+  baseUrl,
+  media,
+});
+
+registerThumbnails(app, {
+  pool,
+  requireAuth,
+  fetchVideoById,
+  toApiVideo,
+  thumbUrlFor,
+  media,
+});
+
+const { startTrashSweeper } = registerTrash(app, {
+  pool,
+  requireAuth,
+  toApiVideo,
+  fetchVideoById,
+  enqueueRepackageIfNeeded,
+  purgeVideo,
 });
 
 app.get("/__ffmpeg", async (_req, res) => {
@@ -641,7 +823,8 @@ app.get("/__ffmpeg", async (_req, res) => {
 
 // -------------------------
 // USER VIDEOS (Profile page needs this)
-// GET /api/profile/u/:username/videos?sort=newest|oldest|views|highest
+// GET /api/profile/u/:username/videos?sort=newest|oldest|views|highest&limit=&cursor=
+//   -> { items, nextCursor }
 app.get("/api/profile/u/:username/videos", async (req, res) => {
   try {
     const scope = String(req.query.scope || "").toLowerCase().trim(); // "public"|"library"|"" (default)
@@ -667,16 +850,12 @@ app.get("/api/profile/u/:username/videos", async (req, res) => {
       return res.status(403).json({ error: "Library assets are owner-only" });
     }
 
-    // Sorting
-    let orderBy = "v.created_at DESC";
-    if (sort === "oldest") {
-      orderBy = "v.created_at ASC";
-    } else if (sort === "views") {
-      orderBy = "v.views DESC NULLS LAST, v.created_at DESC";
-    } else if (sort === "highest") {
-      orderBy =
-        "COALESCE(vrs.rating_avg, 0) DESC, COALESCE(vrs.rating_count, 0) DESC, v.created_at DESC";
-    }
+    // Sorting + paging (keyset, see pagination.js)
+    const pageSort = LISTING_SORTS.has(sort) ? sort : "newest";
+    const limit = parsePageLimit(req.query.limit);
+    const cursorKeys = req.query.cursor ? decodeCursor(req.query.cursor, pageSort) : null;
+    if (req.query.cursor && !cursorKeys) return res.status(400).json({ error: "Invalid cursor" });
+    const page = keysetQuery(pageSort, { cursorKeys, firstParam: 6 });
 
     // Fetch videos for that user
     const result = await pool.query(
@@ -692,35 +871,46 @@ app.get("/api/profile/u/:username/videos", async (req, res) => {
         v.asset_scope,
         v.filename,
         v.thumb,
+        v.packaging,
+        v.has_storyboard,
+        (v.hls_key IS NOT NULL) AS hls_encrypted,
         v.duration_text,
         v.views,
         v.tags,
+        c.name AS category_name,
         v.created_at AS "createdAt",
         v.updated_at AS "updatedAt",
         u.username AS channel_username,
-        COALESCE(p.display_name, '') AS channel_display_name
+        COALESCE(p.display_name, '') AS channel_display_name,
+        ${page.select}
       FROM videos v
       JOIN users u ON u.id = v.user_id
       LEFT JOIN user_profiles p ON p.user_id = u.id
       LEFT JOIN video_rating_stats vrs ON vrs.video_id = v.id
+      LEFT JOIN categories c ON c.slug = v.category
       WHERE v.user_id = $1
+        AND v.deleted_at IS NULL
         AND ($2::boolean = true OR v.visibility = 'public')
         AND ($3::text = '' OR v.asset_scope = $3::text)
         AND ($4::text = '' OR $4::text = 'all' OR v.media_type = $4::text)
-      ORDER BY ${orderBy}
-      LIMIT 200
+        ${page.where ? `AND ${page.where}` : ""}
+      ORDER BY ${page.orderBy}
+      LIMIT $5
       `,
       [
         channelUserId,
         includeAll,
         scope || "",        // "" means no filter
         type || "",         // "" means no filter
+        limit + 1,
+        ...page.params,
       ]
     );
 
-    // Return the SAME shape used everywhere else (thumbUrl + playbackUrl, etc.)
-    const enriched = await Promise.all(result.rows.map((v) => toApiVideo(req, v)));
-    return res.json(enriched); // IMPORTANT: return an array
+    // Items in the SAME shape used everywhere else (thumbUrl + playbackUrl, etc.)
+    const { rows, nextCursor } = pageOf(result.rows, limit, pageSort);
+    const items = await Promise.all(rows.map((v) => toApiVideo(req, v)));
+    return res.json({ items, nextCursor });
   } catch (e) {
     console.error("GET /api/profile/u/:username/videos error:", e);
     return res.status(500).json({ error: "Failed to load user videos" });
@@ -728,60 +918,119 @@ app.get("/api/profile/u/:username/videos", async (req, res) => {
 });
 
 
+// -------------------------
+// Edit video metadata (owner only)
+// PATCH /api/videos/:id  { title?, description?, tags?, category?, visibility? }
+// -------------------------
+app.patch("/api/videos/:id", requireAuth, async (req, res) => {
+  const videoId = String(req.params.id);
+  const userId = Number(req.user.id);
+  const body = req.body || {};
+
+  try {
+    const v = await fetchVideoById(videoId);
+    if (!v) return res.status(404).json({ error: "Video not found" });
+    if (Number(v.user_id) !== userId) return res.status(403).json({ error: "Not allowed" });
+
+    const sets = [];
+    const params = [videoId];
+    const set = (col, value) => {
+      params.push(value);
+      sets.push(`${col} = $${params.length}`);
+    };
+
+    if (body.title !== undefined) {
+      const title = String(body.title || "").trim();
+      if (!title) return res.status(400).json({ error: "Title is required" });
+      set("title", title);
+    }
+
+    if (body.description !== undefined) {
+      set("description", String(body.description || "").trim());
+    }
+
+    if (body.tags !== undefined) {
+      set("tags", parseTags(body.tags));
+    }
+
+    if (body.category !== undefined) {
+      const category = await resolveCategorySlug(body.category);
+      if (!category) return res.status(400).json({ error: "Unknown category" });
+      set("category", category);
+    }
+
+    if (body.visibility !== undefined) {
+      const visibility = String(body.visibility || "").toLowerCase().trim();
+      if (!ALLOWED_VISIBILITY.has(visibility)) {
+        return res.status(400).json({ error: "Visibility must be public, private, or unlisted" });
+      }
+      // library assets stay private, same as on upload
+      set("visibility", v.asset_scope === "library" ? "private" : visibility);
+    }
+
+    if (!sets.length) return res.status(400).json({ error: "Nothing to update" });
+
+    await pool.query(
+      `
+      UPDATE videos
+      SET ${sets.join(", ")}, updated_at = now()
+      WHERE id::text = $1::text
+      `,
+      params
+    );
+
+    const fresh = await fetchVideoById(videoId);
+
+    // public <-> non-public: storage location (and HLS encryption) catch up in the background
+    const repackageJob = await enqueueRepackageIfNeeded(fresh);
+
+    return res.json({
+      ok: true,
+      video: await toApiVideo(req, fresh),
+      ...(repackageJob ? { repackageJobId: repackageJob.id } : {}),
+    });
+  } catch (e) {
+    console.error("PATCH /api/videos/:id error:", e);
+    return res.status(500).json({ error: "Failed to update video" });
+  }
+});
+
 app.delete("/api/videos/:id", requireAuth, async (req, res) => {
   const videoId = String(req.params.id);
   const userId = Number(req.user.id);
 
   try {
-    // fetch video first (ownership + filenames)
     const vRes = await pool.query(
-      `SELECT id, user_id, filename, thumb FROM videos WHERE id::text = $1::text LIMIT 1`,
+      `SELECT id, user_id FROM videos WHERE id::text = $1::text AND deleted_at IS NULL LIMIT 1`,
       [videoId]
     );
     const v = vRes.rows[0];
     if (!v) return res.status(404).json({ error: "Video not found" });
     if (Number(v.user_id) !== userId) return res.status(403).json({ error: "Not allowed" });
 
-    // delete DB row first (or last — either is fine; I prefer DB last if you want strictness)
-    await pool.query(`DELETE FROM videos WHERE id::text = $1::text`, [videoId]);
-
-    const VIDEO_SOURCE = process.env.VIDEO_SOURCE || "local";
+    // soft delete: storage stays until the trash sweeper (or DELETE /api/me/trash/:id) purges it,
+    // but moves under private/ so public URLs stop serving it
+    const r = await pool.query(
+      `
+      UPDATE videos
+      SET deleted_at = now(), updated_at = now()
+      WHERE id::text = $1::text AND deleted_at IS NULL
+      RETURNING deleted_at
+      `,
+      [videoId]
+    );
+    if (!r.rows[0]) return res.status(404).json({ error: "Video not found" });
 
-    // remove storage
-    if (VIDEO_SOURCE === "aws") {
-      // v.filename is your S3 key (e.g. uploads/<userId>/<file>.mp4)
-      if (process.env.S3_UPLOADS_BUCKET && v.filename) {
-        await deleteFromS3({ bucket: process.env.S3_UPLOADS_BUCKET, key: v.filename });
-      }
-      // thumb key in assets bucket (if you store thumbs there)
-      if (process.env.S3_ASSETS_BUCKET && v.thumb && v.thumb !== "placeholder.jpg") {
-        if (process.env.S3_UPLOADS_BUCKET && v.filename) {
-          const bucket = process.env.S3_UPLOADS_BUCKET;
-
-          if (String(v.filename).endsWith("/master.m3u8")) {
-            const prefix = String(v.filename).replace(/\/master\.m3u8$/i, "");
-            await deletePrefixFromS3({ bucket, prefix: `${prefix}/` });
-          } else {
-            // fallback (older mp4 uploads)
-            await deleteFromS3({ bucket, key: v.filename });
-          }
-        }
-      }
-    } else {
-      // local cleanup (only if you use VIDEO_SOURCE=local)
-      try {
-        const filePath = path.join(VIDEO_DIR, v.filename);
-        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-      } catch {}
-      try {
-        if (v.thumb && v.thumb !== "placeholder.jpg") {
-          const thumbPath = path.join(THUMB_DIR, v.thumb);
-          if (fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath);
-        }
-      } catch {}
-    }
+    const trashed = await fetchVideoById(videoId, { includeTrashed: true });
+    const repackageJob = trashed ? await enqueueRepackageIfNeeded(trashed) : null;
 
-    return res.json({ ok: true, id: videoId });
+    return res.json({
+      ok: true,
+      id: videoId,
+      deletedAt: r.rows[0].deleted_at,
+      purgeAt: trashPurgeAt(r.rows[0].deleted_at),
+      ...(repackageJob ? { repackageJobId: repackageJob.id } : {}),
+    });
   } catch (e) {
     console.error("DELETE /api/videos/:id error:", e);
     return res.status(500).json({ error: "Failed to delete video" });
@@ -1162,7 +1411,7 @@ app.post("/api/videos/:id/view", requireAuth, async (req, res) => {
       upd AS (
         UPDATE videos
         SET views = views + (SELECT COUNT(*) FROM ins)
-        WHERE id = $1::text
+        WHERE id = $1::text AND deleted_at IS NULL
         RETURNING views
       )
       SELECT
@@ -1232,7 +1481,7 @@ app.post("/api/videos/:id/rate", requireAuth, async (req, res) => {
 
     // 1) Who owns this video?
     const ownerRes = await pool.query(
-      `SELECT user_id FROM videos WHERE id::text = $1::text LIMIT 1`,
+      `SELECT user_id FROM videos WHERE id::text = $1::text AND deleted_at IS NULL LIMIT 1`,
       [videoId]
     );
     const ownerId = ownerRes.rows[0]?.user_id;
@@ -1247,6 +1496,7 @@ app.post("/api/videos/:id/rate", requireAuth, async (req, res) => {
       FROM video_ratings vr
       JOIN videos v ON v.id = vr.video_id
       WHERE v.user_id = $1
+        AND v.deleted_at IS NULL
       `,
       [ownerId]
     );
@@ -1284,20 +1534,20 @@ app.post("/api/videos/:id/rate", requireAuth, async (req, res) => {
 // -------------------------
 app.get("/api/videos", async (req, res) => {
   try {
-    const q = String(req.query.q || "").trim();
+    const q = String(req.query.q || "").trim().slice(0, 200);
     const category = String(req.query.category || "").trim();
-    const sort = String(req.query.sort || "newest").toLowerCase().trim();
+    // searches rank by relevance unless another order is asked for
+    const sort = String(req.query.sort || (q ? "relevance" : "newest")).toLowerCase().trim();
+    const limit = parsePageLimit(req.query.limit);
 
-    // ORDER BY whitelist (prevents SQL injection)
-    let orderBy = "v.created_at DESC";
-    if (sort === "oldest") orderBy = "v.created_at ASC";
-    else if (sort === "views") orderBy = "v.views DESC NULLS LAST, v.created_at DESC";
-    else if (sort === "highest")
-      orderBy =
-        "COALESCE(vrs.rating_avg, 0) DESC, COALESCE(vrs.rating_count, 0) DESC, v.created_at DESC";
+    // sort whitelist (prevents SQL injection); ORDER BY comes from pagination.js
+    const pageSort = sort === "relevance" && q ? "relevance" : LISTING_SORTS.has(sort) ? sort : "newest";
+    const cursorKeys = req.query.cursor ? decodeCursor(req.query.cursor, pageSort) : null;
+    if (req.query.cursor && !cursorKeys) return res.status(400).json({ error: "Invalid cursor" });
 
     // Build WHERE dynamically but safely
     const where = [
+      `v.deleted_at IS NULL`,
       `v.visibility = 'public'`,
       `v.asset_scope = 'public'`,
       `v.media_type = 'video'`,
@@ -1306,32 +1556,40 @@ app.get("/api/videos", async (req, res) => {
     let i = 1;
 
     if (category) {
-      where.push(`v.category = $${i++}`);
+      // accept the slug or the display name
+      where.push(`(v.category = lower($${i}) OR lower(c.name) = lower($${i}))`);
       params.push(category);
+      i++;
     }
 
+    // full-text match on the weighted search_vector (migrations/015_video_search.sql)
+    let rankSelect = "NULL::real AS search_rank, NULL AS title_headline, NULL AS description_headline";
+    let queryJoin = "";
     if (q) {
-      // split words, match ALL tokens somewhere
-      const tokens = q.split(/\s+/).filter(Boolean).slice(0, 10);
-      for (const t of tokens) {
-        where.push(`
-          (
-            v.title ILIKE $${i}
-            OR v.description ILIKE $${i}
-            OR v.category ILIKE $${i}
-            OR EXISTS (
-              SELECT 1
-              FROM unnest(COALESCE(v.tags, ARRAY[]::text[])) tag
-              WHERE tag ILIKE $${i}
-            )
-            OR u.username ILIKE $${i}
-            OR COALESCE(p.display_name,'') ILIKE $${i}
-          )
-        `);
-        params.push(`%${t}%`);
-        i++;
-      }
+      queryJoin = `CROSS JOIN websearch_to_tsquery('${SEARCH_CONFIG}', $${i}) query`;
+      params.push(q);
+      i++;
+      where.push(`v.search_vector @@ query`);
+      rankSelect = `
+        ts_rank(v.search_vector, query, 1) AS search_rank,
+        ts_headline('${SEARCH_CONFIG}', v.title, query, $${i}) AS title_headline,
+        ts_headline('${SEARCH_CONFIG}', COALESCE(v.description, ''), query, $${i + 1}) AS description_headline
+      `;
+      params.push(HEADLINE_OPTIONS.title, HEADLINE_OPTIONS.description);
+      i += 2;
+    }
+
+    const page = keysetQuery(pageSort, {
+      cursorKeys,
+      firstParam: i,
+      rankExpr: q ? "ts_rank(v.search_vector, query, 1)" : null,
+    });
+    if (page.where) {
+      where.push(page.where);
+      params.push(...page.params);
+      i += page.params.length;
     }
+    params.push(limit + 1);
 
     const result = await pool.query(
       `
@@ -1344,26 +1602,49 @@ app.get("/api/videos", async (req, res) => {
         v.visibility,
         v.filename,
         v.thumb,
+        v.packaging,
+        v.has_storyboard,
+        (v.hls_key IS NOT NULL) AS hls_encrypted,
         v.duration_text,
         v.views,
         v.tags,
+        c.name AS category_name,
         v.created_at AS "createdAt",
         v.updated_at AS "updatedAt",
         u.username AS channel_username,
-        COALESCE(p.display_name, '') AS channel_display_name
+        COALESCE(p.display_name, '') AS channel_display_name,
+        ${rankSelect},
+        ${page.select}
       FROM videos v
       JOIN users u ON u.id = v.user_id
       LEFT JOIN user_profiles p ON p.user_id = u.id
       LEFT JOIN video_rating_stats vrs ON vrs.video_id = v.id
+      LEFT JOIN categories c ON c.slug = v.category
+      ${queryJoin}
       WHERE ${where.join(" AND ")}
-      ORDER BY ${orderBy}
-      LIMIT 200
+      ORDER BY ${page.orderBy}
+      LIMIT $${i}
       `,
       params
     );
 
-    const enriched = await Promise.all(result.rows.map((v) => toApiVideo(req, v)));
-    res.json(enriched);
+    const { rows, nextCursor } = pageOf(result.rows, limit, pageSort);
+    const items = await Promise.all(
+      rows.map(async (v) => {
+        const out = await toApiVideo(req, v);
+        if (!q) return out;
+        // HTML-escaped, matches wrapped in <mark>
+        return {
+          ...out,
+          searchRank: Number(v.search_rank),
+          highlights: {
+            title: escapeHighlight(v.title_headline),
+            description: escapeHighlight(v.description_headline),
+          },
+        };
+      })
+    );
+    res.json({ items, nextCursor });
   } catch (e) {
     console.error("GET /api/videos search error:", e);
     res.status(500).json({ error: "Failed to load videos" });
@@ -1401,6 +1682,9 @@ app.get("/api/videos/:id", async (req, res) => {
 // -------------------------
 // Upload video
 // -------------------------
+// The request only validates + stores the file, then queues a "upload" job.
+// processUploadJob (below) does thumbnail -> HLS -> storage -> DB insert in the
+// background worker; clients poll GET /api/videos/:jobId/processing.
 app.post("/api/videos/upload", requireAuth, upload.single("video"), async (req, res) => {
   const uploadId = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
   const t0 = Date.now();
@@ -1431,244 +1715,910 @@ app.post("/api/videos/upload", requireAuth, upload.single("video"), async (req,
         : null
     );
 
-    const title = String(req.body?.title || "").trim();
-    const description = String(req.body?.description || "").trim();
-    const visibility = String(req.body?.visibility || "public").toLowerCase();
-    const tagsRaw = String(req.body?.tags || "");
-
-    let mediaType = String(req.body?.mediaType || "").toLowerCase().trim(); // don't default yet
-    const assetScope = String(req.body?.assetScope || "public").toLowerCase().trim();
-
-    // ✅ infer mediaType from the uploaded file if not provided (or wrong)
-    const mime = String(req.file?.mimetype || "");
-    const ext = path.extname(req.file?.originalname || "").toLowerCase();
-
-    const looksAudio =
-      mime.startsWith("audio/") || [".mp3", ".wav", ".m4a", ".aac", ".flac", ".ogg", ".opus"].includes(ext);
-    const looksVideo =
-      mime.startsWith("video/") || [".mp4", ".mov", ".mkv", ".webm", ".avi", ".m4v", ".mpeg", ".mpg"].includes(ext);
-
-    if (!mediaType) {
-      mediaType = looksAudio ? "audio" : "video"; // fallback
-    } else {
-      // if user says "video" but it's clearly audio, correct it
-      if (mediaType === "video" && looksAudio && !looksVideo) mediaType = "audio";
-      if (mediaType === "audio" && looksVideo && !looksAudio) mediaType = "video";
-    }
-
-    log("mediaType resolved", { mediaType, mimetype: req.file?.mimetype, originalname: req.file?.originalname });
-
-    const allowedMedia = new Set(["video", "audio"]);
-    const allowedScope = new Set(["public", "library"]);
-
-    if (!allowedMedia.has(mediaType)) {
-      log("FAIL validation: bad mediaType", { mediaType });
-      return res.status(400).json({ error: "mediaType must be video or audio" });
-    }
-    if (!allowedScope.has(assetScope)) {
-      log("FAIL validation: bad assetScope", { assetScope });
-      return res.status(400).json({ error: "assetScope must be public or library" });
-    }
-
-    // force private if library
-    const effectiveVisibility = assetScope === "library" ? "private" : visibility;
-
-
-    if (!title) {
-      log("FAIL validation: missing title");
-      return res.status(400).json({ error: "Title is required" });
-    }
     if (!req.file) {
       log("FAIL validation: missing file");
       return res.status(400).json({ error: "MP4 file is required" });
     }
 
-    const allowedVis = new Set(["public", "private", "unlisted"]);
-    if (!allowedVis.has(visibility)) {
-      log("FAIL validation: bad visibility", { visibility });
-      return res
-        .status(400)
-        .json({ error: "Visibility must be public, private, or unlisted" });
+    const { error, fields } = await resolveUploadFields(req.body, req.file);
+    if (error) {
+      log("FAIL validation", { error });
+      try { fs.unlinkSync(req.file.path); } catch {}
+      return res.status(400).json({ error });
     }
 
-    const tags = Array.from(
-      new Set(
-        tagsRaw
-          .split(",")
-          .map((t) => t.trim().toLowerCase())
-          .filter(Boolean)
-          .slice(0, 30)
-      )
-    );
-
-    const category = "Other";
-
-    // ---------- Thumbnail ----------
-    const base = path.parse(req.file.filename).name;
-    const thumbName = `${base}.jpg`;
-    const thumbPath = path.join(THUMB_DIR, thumbName);
+    log("fields resolved", { mediaType: fields.mediaType, assetScope: fields.assetScope, visibility: fields.visibility });
 
-    let storedThumb = "placeholder.jpg";
-
-    if (mediaType === "video") {
-      const base = path.parse(req.file.filename).name;
-      const thumbName = `${base}.jpg`;
-      const thumbPath = path.join(THUMB_DIR, thumbName);
+    // ---------- Probe ----------
+    const tProbe = Date.now();
+    const checked = await validateUploadMedia(req.file.path, { mediaType: fields.mediaType });
+    if (!checked.ok) {
+      log("FAIL media validation", { ms: Date.now() - tProbe, ...checked.body });
+      try { fs.unlinkSync(req.file.path); } catch {}
+      return res.status(checked.status).json(checked.body);
+    }
+    log("media validation ok", { ms: Date.now() - tProbe });
+
+    // ---------- Queue ----------
+    const job = await enqueueVideoJob({
+      userId,
+      kind: "upload",
+      payload: {
+        sourcePath: req.file.path,
+        sourceFilename: req.file.filename,
+        mimetype: req.file.mimetype || "",
+        originalname: req.file.originalname || "",
+        ...fields,
+      },
+    });
 
-      log("THUMB start", { thumbName, thumbPath });
-      const tThumb = Date.now();
+    log("DONE queued", { jobId: job.id, totalMs: Date.now() - t0 });
+    return res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+  } catch (e) {
+    log("Upload error", { error: e?.message, stack: e?.stack });
 
+    if (req.file?.path) {
+      log("Attempt cleanup of req.file.path", { path: req.file.path });
       try {
-        await generateThumbnailHalfwayWithFallback(req.file.path, thumbPath);
-        storedThumb = thumbName;
-        log("THUMB ok", { ms: Date.now() - tThumb, storedThumb });
-      } catch (e) {
-        log("THUMB failed, using placeholder", { ms: Date.now() - tThumb, error: e?.message });
-        try { if (fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath); } catch {}
+        fs.unlinkSync(req.file.path);
+        log("Cleanup req.file.path ok");
+      } catch (cleanupErr) {
+        log("Cleanup req.file.path failed", { error: cleanupErr?.message });
       }
-    } else {
-      log("THUMB skipped (audio)");
     }
 
-    // What we store in DB (local filename or S3 key)
-    let storedFilename = req.file.filename;
-
-
-    // ---------- AWS pipeline (HLS) ----------
-  if (VIDEO_SOURCE === "aws") {
-  if (!process.env.S3_UPLOADS_BUCKET) {
-    throw new Error("Missing env S3_UPLOADS_BUCKET while VIDEO_SOURCE=aws");
+    log("DONE error", { totalMs: Date.now() - t0 });
+    return res.status(500).json({
+      error: e?.message || "Failed to upload video",
+    });
   }
+});
 
-  const bucket = process.env.S3_UPLOADS_BUCKET;
+// -------------------------
+// Replace the media of an existing video (owner-only)
+// comments, ratings, views and captions stay; the old media becomes a revision
+// -------------------------
+app.post("/api/videos/:id/replace", requireAuth, upload.single("video"), async (req, res) => {
+  const videoId = String(req.params.id || "");
+  const dropUpload = () => {
+    if (req.file?.path) try { fs.unlinkSync(req.file.path); } catch {}
+  };
 
-  if (mediaType === "video") {
-    const base = path.parse(req.file.filename).name;
-    const hlsOutDir = path.join(DATA_ROOT, "hls", `${userId}`, base);
+  try {
+    const r = await pool.query(
+      `
+      SELECT id, user_id, media_type, visibility, asset_scope
+      FROM videos
+      WHERE id::text = $1::text AND deleted_at IS NULL
+      LIMIT 1
+      `,
+      [videoId]
+    );
+    const v = r.rows[0];
+    if (!v) {
+      dropUpload();
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (Number(v.user_id) !== Number(req.user.id)) {
+      dropUpload();
+      return res.status(403).json({ error: "Not allowed" });
+    }
+    if (!req.file) return res.status(400).json({ error: "Media file is required" });
 
-    log("HLS transcode start", { input: req.file.path, outDir: hlsOutDir });
-    const tHls = Date.now();
-    await generateHls(req.file.path, hlsOutDir);
-    log("HLS transcode ok", { ms: Date.now() - tHls });
+    const mediaType = v.media_type || "video";
+    const checked = await validateUploadMedia(req.file.path, { mediaType });
+    if (!checked.ok) {
+      dropUpload();
+      return res.status(checked.status).json(checked.body);
+    }
 
-    const hlsKeyPrefix = `hls/${userId}/${base}`;
-    log("S3 HLS upload start", { bucket, keyPrefix: hlsKeyPrefix });
+    const job = await enqueueVideoJob({
+      userId: Number(req.user.id),
+      kind: "replace",
+      payload: {
+        videoId: String(v.id),
+        visibility: v.visibility,
+        assetScope: v.asset_scope,
+        sourcePath: req.file.path,
+        sourceFilename: req.file.filename,
+        mimetype: req.file.mimetype || "",
+        originalname: req.file.originalname || "",
+        mediaType,
+        normalizeLoudness: parseNormalizeFlag(req.body?.normalizeLoudness),
+      },
+    });
 
-    const tS3 = Date.now();
-    await uploadDirToS3({ bucket, dirPath: hlsOutDir, keyPrefix: hlsKeyPrefix });
-    log("S3 HLS upload ok", { ms: Date.now() - tS3 });
+    return res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+  } catch (e) {
+    console.error("POST /api/videos/:id/replace error:", e);
+    dropUpload();
+    return res.status(500).json({ error: "Failed to replace video" });
+  }
+});
 
-    storedFilename = `${hlsKeyPrefix}/master.m3u8`;
+app.get("/api/videos/:id/revisions", requireAuth, async (req, res) => {
+  try {
+    const videoId = String(req.params.id || "");
+    const v = await fetchVideoById(videoId);
+    if (!v) return res.status(404).json({ error: "Video not found" });
+    if (Number(v.user_id) !== Number(req.user.id)) return res.status(403).json({ error: "Not allowed" });
+
+    const r = await pool.query(
+      `
+      SELECT revision, duration_text, packaging, media_info, created_at
+      FROM video_revisions
+      WHERE video_id = $1
+      ORDER BY revision DESC
+      `,
+      [String(v.id)]
+    );
+
+    return res.json({
+      currentRevision: Number(v.revision || 1),
+      revisions: r.rows.map((x) => ({
+        revision: x.revision,
+        durationText: x.duration_text,
+        packaging: x.packaging,
+        width: x.media_info?.width ?? null,
+        height: x.media_info?.height ?? null,
+        replacedAt: x.created_at,
+      })),
+    });
+  } catch (e) {
+    console.error("GET /api/videos/:id/revisions error:", e);
+    return res.status(500).json({ error: "Failed to load revisions" });
+  }
+});
+
+// -------------------------
+// Upload job (runs in the video job worker)
+// -------------------------
+// Everything between "file is on disk" and "row can be written": probe, loudness,
+// thumbnails, HLS/storyboard, storage uploads. Shared by upload and replace jobs.
+async function transcodeUploadSource(job, log) {
+  const p = job.payload || {};
+  const userId = Number(job.user_id);
+  const mediaType = p.mediaType || "video";
+
+  // Direct uploads: pull the raw object down for transcoding. A copy left by an
+  // earlier attempt is reused only when it has the object's full size.
+  let needsDownload = false;
+  if (p.sourceKey && p.sourcePath) {
+    if (!fs.existsSync(p.sourcePath)) needsDownload = true;
+    else {
+      const remote = await media.videos.stat(p.sourceKey);
+      needsDownload = !!remote && remote.size !== fs.statSync(p.sourcePath).size;
+    }
+  }
+  if (needsDownload) {
+    log("source download start", { key: p.sourceKey });
+    const tDl = Date.now();
+    await media.videos.download(p.sourceKey, p.sourcePath);
+    log("source download ok", { ms: Date.now() - tDl });
+  }
+
+  if (!p.sourcePath || !fs.existsSync(p.sourcePath)) {
+    throw new Error("Uploaded file is missing on disk");
+  }
+
+  // ---------- Probe ----------
+  let mediaInfo = null;
+  try {
+    mediaInfo = await probeMediaInfo(p.sourcePath);
+    log("PROBE ok", mediaInfo);
+  } catch (e) {
+    log("PROBE failed (continuing without media info)", { error: e?.message });
+  }
+
+  // ---------- Loudness (pass 1) ----------
+  let loudness = null;
+  let audioFilter = null;
+
+  if (mediaInfo?.hasAudio !== false) {
+    const tLoud = Date.now();
+    try {
+      loudness = await measureLoudness(p.sourcePath);
+      if (parseNormalizeFlag(p.normalizeLoudness)) audioFilter = loudnormFilter(loudness);
+      log("LOUDNESS ok", { ms: Date.now() - tLoud, ...loudness, normalize: !!audioFilter });
+    } catch (e) {
+      log("LOUDNESS failed (audio left as is)", { ms: Date.now() - tLoud, error: e?.message });
+    }
+  }
+
+  // ---------- Thumbnail ----------
+  let storedThumb = "placeholder.jpg";
+
+  if (mediaType === "video") {
+    const base = path.parse(p.sourceFilename).name;
+    const thumbName = `${base}.jpg`;
+    const thumbPath = path.join(THUMB_DIR, thumbName);
 
-    // cleanup hlsOutDir
-    try { if (fs.existsSync(hlsOutDir)) fs.rmSync(hlsOutDir, { recursive: true, force: true }); } catch {}
+    log("THUMB start", { thumbName, thumbPath });
+    const tThumb = Date.now();
+
+    try {
+      await generateThumbnailHalfwayWithFallback(p.sourcePath, thumbPath);
+      storedThumb = thumbName;
+      log("THUMB ok", { ms: Date.now() - tThumb, storedThumb });
+    } catch (e) {
+      log("THUMB failed, using placeholder", { ms: Date.now() - tThumb, error: e?.message });
+      try { if (fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath); } catch {}
+    }
   } else {
-    // AUDIO: upload raw file (no HLS yet)
-    const audioKey = `uploads/${userId}/${req.file.filename}`;
-    log("S3 audio upload start", { bucket, key: audioKey });
-
-    const tS3Audio = Date.now();
-    await uploadFileToS3({
-      bucket,
-      key: audioKey,
-      filePath: req.file.path,
-      contentType: req.file.mimetype || "application/octet-stream",
+    log("THUMB skipped (audio)");
+  }
+
+  // ---------- Thumbnail candidates (owner can pick one later) ----------
+  let thumbCandidates = [];
+
+  if (mediaType === "video") {
+    const tCand = Date.now();
+    thumbCandidates = await generateThumbnailCandidates(p.sourcePath, THUMB_DIR, {
+      keyPrefix: `thumbs/${userId}/${path.parse(p.sourceFilename).name}`,
+      durationSeconds: mediaInfo?.durationSeconds ?? (await getVideoDurationSeconds(p.sourcePath)),
     });
-    log("S3 audio upload ok", { ms: Date.now() - tS3Audio });
+    log("THUMB candidates", { ms: Date.now() - tCand, count: thumbCandidates.length });
+  }
+
+  // What we store in DB (storage key in media.videos / media.uploads)
+  let storedFilename = p.sourceFilename;
+  let packaging = null;
+  let hasStoryboard = false;
+  let hlsKey = null;
+
+  // non-public output is stored under private/ (see providers/media.js); replace
+  // jobs pass the video's visibility as it was when the transcode started
+  const isPrivate = !isPublicVideo({ visibility: p.visibility, asset_scope: p.assetScope });
+
+  // ---------- HLS ----------
+  // Written to DATA_ROOT/hls/<userId>/<base>/, then stored under the same key
+  // prefix (a no-op for local storage; remote storage gets a copy and we drop ours).
+  if (mediaType === "video") {
+    const base = path.parse(p.sourceFilename).name;
+    const hlsKeyPrefix = scopedKey(`hls/${userId}/${base}`, isPrivate);
+    const hlsOutDir = path.join(DATA_ROOT, hlsKeyPrefix);
+
+    hlsKey = hlsEncryptionFor({ visibility: p.visibility, assetScope: p.assetScope }) ? createHlsKey() : null;
+
+    log("HLS transcode start", { input: p.sourcePath, outDir: hlsOutDir, encrypted: !!hlsKey });
+    const tHls = Date.now();
+    try {
+      const hls = await generateHls(p.sourcePath, hlsOutDir, { mediaInfo, audioFilter, hlsKey });
+      packaging = hls.packaging;
+      finalizeHlsEncryption(hlsOutDir, hlsKey);
+      log("HLS transcode ok", {
+        ms: Date.now() - tHls,
+        packaging,
+        renditions: hls.variants.map((v) => v.name),
+      });
+    } catch (e) {
+      // a retry transcodes again from the source file (with a new key)
+      discardHlsKey(hlsKey);
+      try { fs.rmSync(hlsOutDir, { recursive: true, force: true }); } catch {}
+      throw e;
+    }
+
+    // seek-bar previews next to the playlists (non-fatal)
+    const tSb = Date.now();
+    try {
+      const sb = await generateStoryboard(p.sourcePath, hlsOutDir, { mediaInfo });
+      hasStoryboard = !!sb;
+      log(sb ? "STORYBOARD ok" : "STORYBOARD skipped", { ms: Date.now() - tSb, ...(sb || {}) });
+    } catch (e) {
+      log("STORYBOARD failed", { ms: Date.now() - tSb, error: e?.message });
+    }
+
+    if (media.uploads.remote) {
+      log("HLS upload start", { keyPrefix: hlsKeyPrefix });
+      const tUp = Date.now();
+      try {
+        await media.uploads.putDir(hlsKeyPrefix, hlsOutDir);
+        log("HLS upload ok", { ms: Date.now() - tUp });
+      } finally {
+        try { fs.rmSync(hlsOutDir, { recursive: true, force: true }); } catch {}
+      }
+    } else {
+      await media.uploads.putDir(hlsKeyPrefix, hlsOutDir);
+    }
+
+    storedFilename = `${hlsKeyPrefix}/master.m3u8`;
+  }
+
+  // ---------- Loudness (pass 2, audio uploads) ----------
+  let audioPath = p.sourcePath;
+  let audioName = p.sourceFilename;
+  let audioContentType = p.mimetype || "application/octet-stream";
+  let normalized = mediaType === "video" && !!audioFilter;
+
+  if (mediaType !== "video" && audioFilter) {
+    const normName = `${path.parse(p.sourceFilename).name}-norm.m4a`;
+    const normPath = path.join(VIDEO_DIR, normName);
+    const tNorm = Date.now();
+    try {
+      await writeNormalizedAudio(p.sourcePath, normPath, audioFilter);
+      audioPath = normPath;
+      audioName = normName;
+      audioContentType = "audio/mp4";
+      storedFilename = normName;
+      normalized = true;
+      log("LOUDNORM audio ok", { ms: Date.now() - tNorm, normName });
+    } catch (e) {
+      log("LOUDNORM audio failed (keeping original)", { ms: Date.now() - tNorm, error: e?.message });
+      try { fs.rmSync(normPath, { force: true }); } catch {}
+    }
+  }
+
+  // ---------- Storage (audio + thumbs) ----------
+  if (mediaType !== "video") {
+    // AUDIO: store the (normalized) file, no HLS yet
+    const audioKey = scopedKey(media.videoKey(userId, audioName), isPrivate);
+
+    if (p.sourceKey === audioKey) {
+      log("audio upload skipped (already uploaded directly)", { key: audioKey });
+    } else {
+      const tAudio = Date.now();
+      await media.videos.put(audioKey, audioPath, { contentType: audioContentType });
+      log("audio stored", { ms: Date.now() - tAudio, key: audioKey });
+    }
+
+    if (media.videos.remote && audioPath !== p.sourcePath) {
+      try { fs.unlinkSync(audioPath); } catch {}
+    }
 
     storedFilename = audioKey;
   }
 
-  // Upload thumb to S3 (only if we generated one)
-  if (
-    storedThumb !== "placeholder.jpg" &&
-    process.env.S3_ASSETS_BUCKET
-  ) {
-    const thumbPath = path.join(THUMB_DIR, storedThumb);
-    if (fs.existsSync(thumbPath)) {
-      log("S3 thumb upload start", { bucket: process.env.S3_ASSETS_BUCKET, key: storedThumb });
-      try {
-        await uploadFileToS3({
-          bucket: process.env.S3_ASSETS_BUCKET,
-          key: storedThumb,
-          filePath: thumbPath,
-          contentType: "image/jpeg",
-        });
-        log("S3 thumb upload ok");
-      } catch (e) {
-        log("S3 thumb upload failed", { error: e?.message });
+  // thumbs are generated into THUMB_DIR; remote thumb storage gets them and we drop ours
+  if (media.thumbs.remote) {
+    if (storedThumb !== "placeholder.jpg") {
+      const thumbPath = path.join(THUMB_DIR, storedThumb);
+      if (fs.existsSync(thumbPath)) {
+        log("thumb upload start", { key: storedThumb });
+        try {
+          await media.thumbs.put(storedThumb, thumbPath, { contentType: "image/jpeg" });
+          log("thumb upload ok");
+        } catch (e) {
+          log("thumb upload failed", { error: e?.message });
+        }
+
+        try { fs.unlinkSync(thumbPath); } catch {}
+      }
+    }
+
+    if (thumbCandidates.length) {
+      const uploaded = [];
+      for (const c of thumbCandidates) {
+        const candPath = path.join(THUMB_DIR, c.key);
+        try {
+          await media.thumbs.put(c.key, candPath, { contentType: "image/jpeg" });
+          uploaded.push(c);
+        } catch (e) {
+          log("thumb candidate upload failed", { key: c.key, error: e?.message });
+        }
+        try { fs.unlinkSync(candPath); } catch {}
       }
+      thumbCandidates = uploaded;
+    }
+  }
+
+  return {
+    storedFilename,
+    storedThumb,
+    packaging,
+    hasStoryboard,
+    thumbCandidates,
+    mediaInfo,
+    loudness,
+    normalized,
+    hlsKey: hlsKey?.key || null,
+  };
+}
+
+// Drop the raw upload (local file + direct-upload object) once a row points at the output
+async function cleanupUploadSource(p, storedFilename, log) {
+  // Cleanup local uploaded file (only once the row exists, so retries still have it).
+  // Local videos now play from the HLS copy, so the raw upload goes too.
+  if (media.videos.remote || storedFilename !== p.sourceFilename) {
+    try { if (fs.existsSync(p.sourcePath)) fs.unlinkSync(p.sourcePath); } catch {}
+  }
+
+  // the raw direct upload isn't needed once the HLS copy exists
+  if (p.sourceKey && p.sourceKey !== storedFilename) {
+    try {
+      await media.videos.delete(p.sourceKey);
+    } catch (e) {
+      log("raw source delete failed", { key: p.sourceKey, error: e?.message });
+    }
+  }
+}
+
+async function processUploadJob(job) {
+  const t0 = Date.now();
+  const log = (msg, extra) => {
+    const ms = Date.now() - t0;
+    if (extra !== undefined) console.log(`[upload-job ${job.id}] +${ms}ms ${msg}`, extra);
+    else console.log(`[upload-job ${job.id}] +${ms}ms ${msg}`);
+  };
+
+  const p = job.payload || {};
+  const userId = Number(job.user_id);
+  const mediaType = p.mediaType || "video";
+
+  // a previous attempt already inserted the row and only died before finishing up
+  const done = await pool.query(`SELECT id, filename FROM videos WHERE source_job_id = $1`, [String(job.id)]);
+  if (done.rows[0]) {
+    log("already inserted, finishing cleanup", { videoId: done.rows[0].id });
+    await cleanupUploadSource(p, done.rows[0].filename, log);
+    return { videoId: done.rows[0].id };
+  }
+
+  const {
+    storedFilename,
+    storedThumb,
+    packaging,
+    hasStoryboard,
+    thumbCandidates,
+    mediaInfo,
+    loudness,
+    normalized,
+    hlsKey,
+  } = await transcodeUploadSource(job, log);
+
+  // ---------- DB insert ----------
+  log("DB insert start", { storedFilename, storedThumb, visibility: p.visibility, mediaType, assetScope: p.assetScope });
+  const tDb = Date.now();
+
+  const ins = await pool.query(
+    `
+    INSERT INTO videos (
+      user_id, title, description, category, visibility,
+      media_type, asset_scope,
+      filename, thumb, duration_text, views, tags, packaging, has_storyboard,
+      thumb_candidates, hls_key, source_job_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 0, $11, $12, $13, $14::jsonb, $15, $16)
+    ON CONFLICT (source_job_id) DO NOTHING
+    RETURNING id
+    `,
+    [
+      userId,
+      p.title,
+      p.description || "",
+      p.category || "other",
+      p.visibility || "public",
+      mediaType,
+      p.assetScope || "public",
+      storedFilename,
+      storedThumb,
+      formatDurationText(mediaInfo?.durationSeconds),
+      Array.isArray(p.tags) ? p.tags : [],
+      packaging,
+      hasStoryboard,
+      JSON.stringify(thumbCandidates),
+      hlsKey,
+      String(job.id),
+    ]
+  );
+
+  // another run of this job got there first (it owns the row and its media)
+  if (!ins.rows[0]) {
+    const existing = await pool.query(`SELECT id FROM videos WHERE source_job_id = $1`, [String(job.id)]);
+    log("DB insert skipped, row exists", { videoId: existing.rows[0]?.id });
+    return { videoId: existing.rows[0]?.id ?? null };
+  }
+
+  const insertedId = ins.rows[0].id;
+  log("DB insert ok", { ms: Date.now() - tDb, insertedId });
+
+  // the video row exists now: a retry would only finish cleanup, so nothing below throws
+  try {
+    await saveMediaInfo(pool, insertedId, mediaInfo);
+  } catch (e) {
+    log("media info insert failed", { error: e?.message });
+  }
+  try {
+    await saveLoudness(pool, insertedId, { measured: loudness, normalized });
+  } catch (e) {
+    log("loudness insert failed", { error: e?.message });
+  }
+
+  await cleanupUploadSource(p, storedFilename, log);
+
+  log("DONE ok", { totalMs: Date.now() - t0 });
+  return { videoId: insertedId };
+}
+
+// Remove a video's media + thumbs from storage (HLS prefix or single file).
+// Used after a replace; best effort, logs and carries on.
+async function deleteMediaStorage({ filename, thumb, thumbCandidates = [] }, log = console.log) {
+  const isHls = String(filename || "").endsWith("/master.m3u8");
+  const thumbKeys = [
+    ...thumbSizeKeys(thumb),
+    ...(Array.isArray(thumbCandidates) ? thumbCandidates.map((c) => c?.key) : []),
+  ].filter((k) => k && k !== "placeholder.jpg");
 
-      try { fs.unlinkSync(thumbPath); } catch {}
+  try {
+    if (isHls) {
+      // only ever a whole [private/]hls/<userId>/<base>/ dir
+      const prefix = `${path.posix.dirname(filename)}/`;
+      if (/^(private\/)?hls\/[^/]+\/[^/]+\/$/.test(prefix)) await media.uploads.deletePrefix(prefix);
+    } else if (filename) {
+      await media.videos.delete(filename);
     }
+  } catch (e) {
+    log("media delete failed", { filename, error: e?.message });
   }
 
-  // Cleanup local uploaded file
-  try { if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path); } catch {}
+  for (const key of thumbKeys) {
+    try {
+      await media.thumbs.delete(key);
+    } catch (e) {
+      log("thumb delete failed", { key, error: e?.message });
+    }
+  }
 }
 
-    // ---------- DB insert ----------
-    log("DB insert start", { storedFilename, storedThumb, visibility: effectiveVisibility, mediaType, assetScope, tagsCount: tags.length });
-    const tDb = Date.now();
+// Permanently remove a trashed video: row (captions/revisions/media info cascade) + storage.
+// Returns false when the video is gone or was restored in the meantime.
+async function purgeVideo(videoId, log = console.log) {
+  const r = await pool.query(
+    `
+    DELETE FROM videos
+    WHERE id::text = $1::text AND deleted_at IS NOT NULL
+    RETURNING id, user_id, filename, thumb, thumb_candidates
+    `,
+    [String(videoId)]
+  );
+  const v = r.rows[0];
+  if (!v) return false;
 
-    const ins = await pool.query(
+  await deleteMediaStorage({ filename: v.filename, thumb: v.thumb, thumbCandidates: v.thumb_candidates }, log);
+
+  // caption tracks of non-HLS videos (HLS ones went with the playlist dir)
+  for (const isPrivate of [false, true]) {
+    const captionsPrefix = scopedKey(`captions/${v.user_id}/${v.id}`, isPrivate);
+    try {
+      await media.uploads.deletePrefix(`${captionsPrefix}/`);
+    } catch (e) {
+      log("caption delete failed", { prefix: captionsPrefix, error: e?.message });
+    }
+  }
+
+  log("purged", { videoId: String(v.id) });
+  return true;
+}
+
+// -------------------------
+// Replace job: new media for an existing video row
+// -------------------------
+async function processReplaceJob(job) {
+  const t0 = Date.now();
+  const log = (msg, extra) => {
+    const ms = Date.now() - t0;
+    if (extra !== undefined) console.log(`[replace-job ${job.id}] +${ms}ms ${msg}`, extra);
+    else console.log(`[replace-job ${job.id}] +${ms}ms ${msg}`);
+  };
+
+  const p = job.payload || {};
+  const videoId = String(p.videoId || "");
+
+  // a previous attempt already swapped the row and only died while cleaning up
+  const done = await pool.query(`SELECT * FROM video_revisions WHERE replaced_by_job = $1 LIMIT 1`, [
+    String(job.id),
+  ]);
+  if (done.rows[0]) {
+    const r = done.rows[0];
+    log("already applied, finishing cleanup", { revision: r.revision });
+    await cleanupUploadSource(p, null, log);
+    await deleteMediaStorage({ filename: r.filename, thumb: r.thumb, thumbCandidates: r.thumb_candidates }, log);
+    return { videoId };
+  }
+
+  // visibility may have changed since the upload was queued
+  const now = await pool.query(`SELECT visibility, asset_scope FROM videos WHERE id::text = $1::text`, [videoId]);
+  if (!now.rows[0]) throw new Error("Video to replace no longer exists");
+  const out = await transcodeUploadSource(
+    { ...job, payload: { ...p, visibility: now.rows[0].visibility, assetScope: now.rows[0].asset_scope } },
+    log
+  );
+
+  // ---------- Swap (one transaction) ----------
+  log("DB swap start", { videoId, storedFilename: out.storedFilename });
+  const client = await pool.connect();
+  let old;
+  try {
+    await client.query("BEGIN");
+
+    const cur = await client.query(
       `
-      INSERT INTO videos (
-        user_id, title, description, category, visibility,
-        media_type, asset_scope,
-        filename, thumb, duration_text, views, tags
+      SELECT id, user_id, filename, thumb, thumb_candidates, packaging, duration_text, revision,
+        visibility, asset_scope, media_type
+      FROM videos
+      WHERE id::text = $1::text
+      FOR UPDATE
+      `,
+      [videoId]
+    );
+    old = cur.rows[0];
+    if (!old || Number(old.user_id) !== Number(job.user_id)) {
+      throw new Error("Video to replace no longer exists");
+    }
+
+    await client.query(
+      `
+      INSERT INTO video_revisions (
+        video_id, revision, filename, thumb, thumb_candidates, packaging, duration_text,
+        media_info, replaced_by_job
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 0, $11)
-      RETURNING id
+      SELECT $1, $2, $3, $4, $5::jsonb, $6, $7,
+        (SELECT to_jsonb(m) - 'video_id' FROM video_media_info m WHERE m.video_id = $1),
+        $8
       `,
       [
-        userId,
-        title,
-        description,
-        category,
-        effectiveVisibility,
-        mediaType,
-        assetScope,
-        storedFilename,
-        storedThumb,
-        null,
-        tags,
+        String(old.id),
+        Number(old.revision || 1),
+        old.filename,
+        old.thumb,
+        JSON.stringify(old.thumb_candidates || []),
+        old.packaging,
+        old.duration_text,
+        String(job.id),
       ]
     );
 
-    const insertedId = ins.rows[0].id;
-    log("DB insert ok", { ms: Date.now() - tDb, insertedId });
+    await client.query(
+      `
+      UPDATE videos
+      SET filename = $2,
+          thumb = $3,
+          thumb_candidates = $4::jsonb,
+          packaging = $5,
+          has_storyboard = $6,
+          duration_text = $7,
+          hls_key = $8,
+          revision = revision + 1,
+          updated_at = now()
+      WHERE id = $1
+      `,
+      [
+        old.id,
+        out.storedFilename,
+        out.storedThumb,
+        JSON.stringify(out.thumbCandidates),
+        out.packaging,
+        out.hasStoryboard,
+        formatDurationText(out.mediaInfo?.durationSeconds),
+        out.hlsKey,
+      ]
+    );
 
-    // ---------- Response build ----------
-    log("Fetch inserted video + build response start");
-    const tResp = Date.now();
-    const v = await fetchVideoById(insertedId);
-    const apiVideo = await toApiVideo(req, v);
-    log("Response build ok", { ms: Date.now() - tResp });
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+  log("DB swap ok", { revision: Number(old.revision || 1) + 1 });
 
-    log("DONE ok", { totalMs: Date.now() - t0 });
-    return res.json({ ok: true, video: apiVideo });
+  // the row points at the new media now: nothing below may throw
+  try {
+    await pool.query(`DELETE FROM video_media_info WHERE video_id = $1`, [String(old.id)]);
+    await saveMediaInfo(pool, old.id, out.mediaInfo);
+    await saveLoudness(pool, old.id, { measured: out.loudness, normalized: out.normalized });
   } catch (e) {
-    log("Upload error", { error: e?.message, stack: e?.stack });
+    log("media info update failed", { error: e?.message });
+  }
 
-    if (req.file?.path) {
-      log("Attempt cleanup of req.file.path", { path: req.file.path });
-      try {
-        fs.unlinkSync(req.file.path);
-        log("Cleanup req.file.path ok");
-      } catch (cleanupErr) {
-        log("Cleanup req.file.path failed", { error: cleanupErr?.message });
+  try {
+    await rehomeCaptions(old.id);
+  } catch (e) {
+    log("caption move failed", { error: e?.message });
+  }
+
+  // visibility changed while transcoding: the new output went to the wrong place
+  try {
+    const repackageJob = await enqueueRepackageIfNeeded({
+      ...old,
+      filename: out.storedFilename,
+      hls_encrypted: !!out.hlsKey,
+    });
+    if (repackageJob) log("queued repackage", { jobId: repackageJob.id });
+  } catch (e) {
+    log("repackage enqueue failed", { error: e?.message });
+  }
+
+  await cleanupUploadSource(p, out.storedFilename, log);
+
+  // ---------- GC the previous revision ----------
+  if (old.filename !== out.storedFilename) {
+    await deleteMediaStorage(
+      { filename: old.filename, thumb: old.thumb, thumbCandidates: old.thumb_candidates },
+      log
+    );
+  }
+
+  log("DONE ok", { totalMs: Date.now() - t0 });
+  return { videoId: old.id };
+}
+
+// -------------------------
+// Repackage job: bring a video's stored media in line with its visibility.
+// Non-public and trashed media moves under private/ (public moves back out), and plaintext
+// HLS of a non-public video is re-packaged encrypted (HLS_ENCRYPTION). The copy
+// goes under a new key, swapped in like a replace; captions follow, the old copy goes.
+// -------------------------
+function repackageNeeded(v) {
+  if (!v?.filename) return null;
+  const isPrivate = isStoredPrivate(v);
+  const isHls = String(v.filename).endsWith("/master.m3u8");
+  const move = isPrivateKey(v.filename) !== isPrivate;
+  const encrypt = isHls && !v.hls_encrypted && hlsEncryptionFor({ visibility: v.visibility, assetScope: v.asset_scope });
+  return move || encrypt ? { isPrivate, isHls, move, encrypt } : null;
+}
+
+// -> the queued job, or null when nothing needs doing (or a job is already pending)
+async function enqueueRepackageIfNeeded(v) {
+  if (!repackageNeeded(v)) return null;
+
+  const pending = await pool.query(
+    `
+    SELECT id FROM video_jobs
+    WHERE kind = 'repackage' AND status IN ('queued', 'processing') AND payload->>'videoId' = $1
+    LIMIT 1
+    `,
+    [String(v.id)]
+  );
+  if (pending.rows[0]) return null;
+
+  return enqueueVideoJob({ userId: Number(v.user_id), kind: "repackage", payload: { videoId: String(v.id) } });
+}
+
+// Videos stored on the wrong side of private/ (uploaded before it existed, or a
+// repackage that gave up): queue them once at startup
+async function queueMisplacedMedia() {
+  const r = await pool.query(
+    `
+    SELECT id
+    FROM videos
+    WHERE filename IS NOT NULL
+      AND (deleted_at IS NOT NULL OR visibility <> 'public' OR asset_scope = 'library') <> (filename LIKE 'private/%')
+    `
+  );
+  let queued = 0;
+  for (const row of r.rows) {
+    const v = await fetchVideoById(row.id, { includeTrashed: true });
+    if (v && (await enqueueRepackageIfNeeded(v))) queued++;
+  }
+  if (queued) console.log(`[jobs] queued ${queued} video(s) to move across private/`);
+}
+
+async function processRepackageJob(job) {
+  const t0 = Date.now();
+  const log = (msg, extra) => {
+    const ms = Date.now() - t0;
+    if (extra !== undefined) console.log(`[repackage-job ${job.id}] +${ms}ms ${msg}`, extra);
+    else console.log(`[repackage-job ${job.id}] +${ms}ms ${msg}`);
+  };
+
+  const videoId = String(job.payload?.videoId || "");
+  const v = await fetchVideoById(videoId, { includeTrashed: true });
+  const need = repackageNeeded(v);
+  if (!need) {
+    log("nothing to do", { videoId, filename: v?.filename, encrypted: !!v?.hls_encrypted });
+    return { videoId };
+  }
+  log("start", { videoId, from: v.filename, ...need });
+
+  let filename;
+  let packaging = null;
+  let hlsKeyBytes = null;
+
+  if (need.isHls) {
+    const srcPrefix = `${path.posix.dirname(v.filename)}/`;
+    const base = `${path.posix.basename(srcPrefix).replace(/-r\d+$/, "")}-r${Date.now()}`;
+    const keyPrefix = scopedKey(`hls/${v.user_id}/${base}`, need.isPrivate);
+    const outDir = path.join(DATA_ROOT, keyPrefix);
+    const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), "hls-repackage-"));
+    const hlsKey = need.encrypt ? createHlsKey() : null;
+
+    try {
+      for await (const obj of media.uploads.list(srcPrefix)) {
+        const rel = obj.key.slice(srcPrefix.length);
+        if (rel) await media.uploads.download(obj.key, path.join(srcDir, rel));
+      }
+
+      if (hlsKey) {
+        const tEnc = Date.now();
+        const hls = await encryptHlsCopy(srcDir, outDir, hlsKey);
+        finalizeHlsEncryption(outDir, hlsKey);
+        packaging = hls.packaging;
+        hlsKeyBytes = hlsKey.key;
+        log("HLS encrypt ok", { ms: Date.now() - tEnc, renditions: hls.variants.length });
+        await media.uploads.putDir(keyPrefix, outDir);
+      } else {
+        await media.uploads.putDir(keyPrefix, srcDir);
       }
+    } catch (e) {
+      discardHlsKey(hlsKey);
+      try { fs.rmSync(outDir, { recursive: true, force: true }); } catch {}
+      throw e;
+    } finally {
+      try { fs.rmSync(srcDir, { recursive: true, force: true }); } catch {}
+      if (media.uploads.remote) try { fs.rmSync(outDir, { recursive: true, force: true }); } catch {}
     }
 
-    log("DONE error", { totalMs: Date.now() - t0 });
-    return res.status(500).json({
-      error: e?.message || "Failed to upload video",
-    });
+    filename = `${keyPrefix}/master.m3u8`;
+  } else {
+    // progressive file: same name, other side of private/
+    filename = scopedKey(v.filename, need.isPrivate);
+    const tmp = path.join(os.tmpdir(), `repackage-${job.id}${path.extname(v.filename)}`);
+    try {
+      await media.videos.download(v.filename, tmp);
+      await media.videos.put(filename, tmp, { contentType: mediaContentType(v.filename, v.media_type) });
+    } finally {
+      try { fs.rmSync(tmp, { force: true }); } catch {}
+    }
   }
-});
 
+  // only if nothing (a replace, another repackage) swapped the media meanwhile
+  const swapped = await pool.query(
+    `
+    UPDATE videos
+    SET filename = $2,
+        packaging = COALESCE($3, packaging),
+        hls_key = COALESCE($4, hls_key),
+        updated_at = now()
+    WHERE id::text = $1::text AND filename = $5
+    RETURNING id
+    `,
+    [videoId, filename, packaging, hlsKeyBytes, v.filename]
+  );
+  if (!swapped.rows[0]) {
+    log("media changed meanwhile, dropping the copy", { videoId });
+    await deleteMediaStorage({ filename }, log);
+    return { videoId };
+  }
+  log("DB swap ok", { filename });
 
+  try {
+    await rehomeCaptions(videoId);
+  } catch (e) {
+    log("caption move failed", { error: e?.message });
+  }
+  await deleteMediaStorage({ filename: v.filename }, log);
+
+  // visibility flipped again (or the video was trashed/restored) while we worked
+  const after = await fetchVideoById(videoId, { includeTrashed: true });
+  if (after && (await enqueueRepackageIfNeeded(after))) log("queued another repackage", { videoId });
+
+  log("DONE ok", { totalMs: Date.now() - t0 });
+  return { videoId };
+}
+
+// Called once a job has used up all its attempts
+async function cleanupUploadJob(job) {
+  const p = job.payload || {};
+  try { if (p.sourcePath && fs.existsSync(p.sourcePath)) fs.unlinkSync(p.sourcePath); } catch {}
+  if (p.sourceKey) await media.videos.delete(p.sourceKey).catch(() => {});
+  try {
+    const thumbPath = path.join(THUMB_DIR, `${path.parse(String(p.sourceFilename || "")).name}.jpg`);
+    if (p.sourceFilename && fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath);
+  } catch {}
+  if (p.sourceFilename && job.user_id != null) {
+    const base = path.parse(String(p.sourceFilename)).name;
+    for (let i = 0; i < 10; i++) {
+      try { fs.rmSync(path.join(THUMB_DIR, "thumbs", `${job.user_id}`, `${base}_c${i}.jpg`), { force: true }); } catch {}
+    }
+
+    try { fs.rmSync(path.join(VIDEO_DIR, `${base}-norm.m4a`), { force: true }); } catch {}
+
+    for (const isPrivate of [false, true]) {
+      const hlsDir = path.join(DATA_ROOT, scopedKey(`hls/${job.user_id}/${base}`, isPrivate));
+      try { fs.rmSync(hlsDir, { recursive: true, force: true }); } catch {}
+    }
+  }
+}
 
 // -------------------------
 // Static thumbs (local placeholder + local mode thumbs)
@@ -1676,72 +2626,142 @@ app.post("/api/videos/upload", requireAuth, upload.single("video"), async (req,
 app.use("/thumbs", express.static(THUMB_DIR));
 
 // -------------------------
-// Local streaming endpoint (only used when VIDEO_SOURCE=local)
+// Streaming endpoint: serves media.videos through the app (local storage, and
+// remote storage whenever a direct URL can't be handed out)
 // -------------------------
 app.get("/videos/:id/stream", async (req, res) => {
   try {
-    // If you're not using local streaming, bail early.
-    if (VIDEO_SOURCE !== "local") {
-      return res.status(404).json({ error: "Streaming endpoint not used in this mode" });
-    }
-
     const videoId = String(req.params.id || "");
     const v = await fetchVideoById(videoId);
     if (!v) return res.status(404).end("Not found");
 
-    // Permissions (library/private/unlisted are owner-only)
-    const requesterId = req.user?.id != null ? Number(req.user.id) : null;
-    const ownerId = Number(v.user_id);
-    const isOwner = requesterId != null && requesterId === ownerId;
+    // Permissions (library/private/unlisted are owner-only, or a signed ?token=)
+    if (!canWatchVideo(req, v) && !verifyPlaybackToken(req.query.token, v.id)) {
+      return res.status(404).end("Not found");
+    }
 
-    if (v.asset_scope === "library" && !isOwner) return res.status(404).end("Not found");
-    if (v.visibility !== "public" && !isOwner) return res.status(404).end("Not found");
+    // transcoded uploads have no progressive file; send players to the HLS master
+    if (String(v.filename || "").endsWith("/master.m3u8")) {
+      const id = encodeURIComponent(v.id);
+      const token = canWatchVideo(req, v) ? null : String(req.query.token);
+      return res.redirect(302, token ? `/videos/${id}/signed/${token}/master.m3u8` : `/videos/${id}/hls/master.m3u8`);
+    }
 
-    const filePath = path.join(VIDEO_DIR, v.filename);
-    if (!fs.existsSync(filePath)) return res.status(404).end("Missing file");
+    // stored names are unique per upload/replace, so a public file never changes in place
+    await serveStoredFile(req, res, media.videos, v.filename, {
+      contentType: mediaContentType(v.filename, v.media_type),
+      cacheControl: isPublicVideo(v) ? "public, max-age=86400" : "private, no-cache",
+    });
+  } catch (e) {
+    console.error("GET /videos/:id/stream error:", e);
+    if (!res.headersSent) res.status(500).json({ error: "Stream failed" });
+  }
+});
 
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
+// HLS / DASH files (hls/<userId>/<base>/... in media.uploads).
+// `signed` ({ token, expiresAt }) is set when access comes from a playback token.
+async function sendHlsFile(req, res, v, relPath, { signed = null } = {}) {
+  const hlsRoot = path.posix.dirname(v.filename);
+  const key = path.posix.normalize(`${hlsRoot}/${String(relPath || "")}`);
+  if (!key.startsWith(`${hlsRoot}/`)) return res.status(404).end("Not found");
+
+  const stat = await media.uploads.stat(key);
+  if (!stat) return res.status(404).end("Missing file");
+
+  // playlists can change on re-transcode; segments never do
+  const isPlaylist = /\.(m3u8|mpd)$/i.test(key);
+  res.set("Content-Type", contentTypeForKey(key));
+  res.set(
+    "Cache-Control",
+    isPlaylist
+      ? signed ? "private, no-store" : "no-cache"
+      : isPublicVideo(v)
+      ? "public, max-age=31536000, immutable"
+      : "private, max-age=3600"
+  );
 
-    const ext = path.extname(filePath).toLowerCase();
-    const contentType =
-      ext === ".mp4" ? "video/mp4"
-      : ext === ".mp3" ? "audio/mpeg"
-      : ext === ".wav" ? "audio/wav"
-      : ext === ".m4a" ? "audio/mp4"
-      : "application/octet-stream";
+  // HLS playlists we rewrite: encrypted ones get the key endpoint URL, and signed
+  // ones on remote storage point segments at presigned storage URLs
+  const signSegments = !!signed && media.uploads.remote;
+  if (/\.m3u8$/i.test(key) && (v.hls_encrypted || signSegments)) {
+    const id = encodeURIComponent(v.id);
+    const keyUri = v.hls_encrypted
+      ? `${baseUrl(req)}/videos/${id}/hls.key${signed ? `?token=${signed.token}` : ""}`
+      : null;
+    const expiresIn = signed ? Math.max(60, signed.expiresAt - Math.floor(Date.now() / 1000)) : 0;
+    const segmentUrl = signSegments
+      ? (k) => media.uploads.signedUrl(k, { expiresIn })
+      : media.uploads.remote && isPublicVideo(v)
+      ? async (k) => media.uploads.publicUrl(k, req)
+      : null;
+
+    const chunks = [];
+    for await (const c of await media.uploads.getStream(key)) chunks.push(c);
+    return res.send(await rewritePlaylist(Buffer.concat(chunks).toString("utf8"), key, { keyUri, segmentUrl }));
+  }
 
-    if (!range) {
-      res.writeHead(200, {
-        "Content-Length": fileSize,
-        "Content-Type": contentType,
-      });
-      fs.createReadStream(filePath).pipe(res);
-      return;
-    }
+  const body = await media.uploads.getStream(key);
+  res.set("Content-Length", String(stat.size));
+  body.on("error", (e) => {
+    console.error("hls read error:", key, e?.message || e);
+    res.destroy(e);
+  });
+  res.on("close", () => body.destroy?.());
+  body.pipe(res);
+}
 
-    const parts = range.replace(/bytes=/, "").split("-");
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+// Same permissions as /stream
+app.get("/videos/:id/hls/*", async (req, res) => {
+  try {
+    const v = await fetchVideoById(String(req.params.id || ""));
+    if (!v || !String(v.filename || "").endsWith("/master.m3u8")) return res.status(404).end("Not found");
+    if (!canWatchVideo(req, v)) return res.status(404).end("Not found");
+
+    await sendHlsFile(req, res, v, req.params[0]);
+  } catch (e) {
+    console.error("GET /videos/:id/hls error:", e);
+    res.status(500).json({ error: "HLS failed" });
+  }
+});
+
+// Expiring playback URLs for non-public videos (see playback.js); no session needed
+app.get("/videos/:id/signed/:token/*", async (req, res) => {
+  try {
+    const v = await fetchVideoById(String(req.params.id || ""));
+    if (!v || !String(v.filename || "").endsWith("/master.m3u8")) return res.status(404).end("Not found");
+
+    const expiresAt = verifyPlaybackToken(req.params.token, v.id);
+    if (!expiresAt) return res.status(403).end("Playback URL expired or invalid");
+
+    await sendHlsFile(req, res, v, req.params[0], { signed: { token: req.params.token, expiresAt } });
+  } catch (e) {
+    console.error("GET /videos/:id/signed error:", e);
+    res.status(500).json({ error: "HLS failed" });
+  }
+});
 
-    if (start >= fileSize) {
-      res.status(416).set("Content-Range", `bytes */${fileSize}`).end();
-      return;
+// AES-128 key for encrypted HLS (see hls.js): same checks as GET /api/videos/:id,
+// or the playback token of a signed URL
+app.get("/videos/:id/hls.key", async (req, res) => {
+  try {
+    const v = await fetchVideoById(String(req.params.id || ""));
+    if (!v || !v.hls_encrypted) return res.status(404).end("Not found");
+    if (!canWatchVideo(req, v) && !verifyPlaybackToken(req.query.token, v.id)) {
+      return res.status(404).end("Not found");
     }
 
-    const chunkSize = end - start + 1;
-    res.writeHead(206, {
-      "Content-Range": `bytes ${start}-${end}/${fileSize}`,
-      "Accept-Ranges": "bytes",
-      "Content-Length": chunkSize,
-      "Content-Type": contentType,
-    });
+    const r = await pool.query(`SELECT hls_key FROM videos WHERE id::text = $1::text AND deleted_at IS NULL`, [
+      String(v.id),
+    ]);
+    const hlsKey = r.rows[0]?.hls_key;
+    if (!hlsKey) return res.status(404).end("Not found");
 
-    fs.createReadStream(filePath, { start, end }).pipe(res);
+    res.set("Content-Type", "application/octet-stream");
+    res.set("Cache-Control", "private, no-store");
+    res.send(hlsKey);
   } catch (e) {
-    console.error("GET /videos/:id/stream error:", e);
-    res.status(500).json({ error: "Stream failed" });
+    console.error("GET /videos/:id/hls.key error:", e);
+    res.status(500).json({ error: "Key lookup failed" });
   }
 });
 
@@ -1771,4 +2791,13 @@ app.use((err, _req, res, _next) => {
 
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  startVideoJobWorker();
+  startTrashSweeper();
+  startUploadSessionSweeper();
+  startDirectUploadSweeper();
+  if (process.env.VIDEO_JOB_WORKER !== "0") {
+    queueMisplacedMedia().catch((e) => console.error("[jobs] misplaced media scan failed:", e?.message || e));
+  }
+});
@@ -0,0 +1,233 @@
+// server/src/storageGc.js
+import path from "path";
+import { pathToFileURL } from "url";
+import { media as defaultMedia, PRIVATE_PREFIX, scopedKey } from "../providers/media.js";
+import { thumbSizeKeys } from "./thumbnails.js";
+
+/**
+ * Storage reconciliation: find stored media nothing in the database points at
+ * (failed uploads/publishes, half-finished HLS dirs, thumbs of purged videos).
+ *
+ *   node src/storageGc.js                  report only (JSON on stdout)
+ *   node src/storageGc.js --delete         also delete orphans older than the grace period
+ *   node src/storageGc.js --grace-hours=6  override STORAGE_GC_GRACE_HOURS (default 48)
+ *
+ * Scanned: media.videos (raw/audio files; minus resumable sessions/ locally),
+ * media.uploads hls/ + captions/, and media.thumbs, each with its private/
+ * twin. An HLS dir or a video's caption dir counts as one unit.
+ *
+ * Live = referenced by any videos row (trashed ones too, the trash sweeper owns
+ * those), by a queued/processing job or by a pending direct upload. The grace
+ * period covers everything written before its row exists.
+ */
+
+export const STORAGE_GC_GRACE_HOURS = Math.max(0, Number(process.env.STORAGE_GC_GRACE_HOURS ?? 48));
+
+const PLACEHOLDER = "placeholder.jpg";
+// first N path segments that make up one deletable directory unit
+const DIR_UNITS = { hls: 3, captions: 3 };
+
+// "hls/1/abc/v0/seg_001.m4s" -> "hls/1/abc/" (same under private/); plain files -> null
+function dirUnitOf(key) {
+  const parts = String(key).split("/");
+  const scoped = `${parts[0]}/` === PRIVATE_PREFIX ? 1 : 0;
+  const depth = DIR_UNITS[parts[scoped]] && DIR_UNITS[parts[scoped]] + scoped;
+  if (!depth || parts.length <= depth) return null;
+  return `${parts.slice(0, depth).join("/")}/`;
+}
+
+async function loadReferences(pool) {
+  const keys = new Set([PLACEHOLDER]);
+  const dirs = new Set();
+
+  const addFilename = (filename) => {
+    const f = String(filename || "");
+    if (!f) return;
+    if (f.endsWith("/master.m3u8")) dirs.add(`${path.posix.dirname(f)}/`);
+    else keys.add(f);
+  };
+  const addThumb = (thumb, candidates) => {
+    for (const k of thumbSizeKeys(thumb)) keys.add(k);
+    for (const c of Array.isArray(candidates) ? candidates : []) if (c?.key) keys.add(c.key);
+  };
+
+  const videos = await pool.query(`SELECT id, user_id, filename, thumb, thumb_candidates FROM videos`);
+  for (const v of videos.rows) {
+    addFilename(v.filename);
+    addThumb(v.thumb, v.thumb_candidates);
+    for (const isPrivate of [false, true]) dirs.add(`${scopedKey(`captions/${v.user_id}/${v.id}`, isPrivate)}/`);
+  }
+
+  // work in flight: sources and the outputs their job is about to write
+  const jobs = await pool.query(
+    `SELECT user_id, payload FROM video_jobs WHERE status IN ('queued', 'processing')`
+  );
+  for (const j of jobs.rows) {
+    const p = j.payload || {};
+    if (p.sourceKey) keys.add(p.sourceKey);
+    if (p.sourceFilename) {
+      const base = path.parse(p.sourceFilename).name;
+      keys.add(p.sourceFilename);
+      keys.add(`${base}.jpg`);
+      keys.add(`${base}-norm.m4a`);
+      for (const isPrivate of [false, true]) dirs.add(`${scopedKey(`hls/${j.user_id}/${base}`, isPrivate)}/`);
+    }
+  }
+
+  // expired sessions are dead even before the sweeper marks them aborted
+  const direct = await pool.query(
+    `SELECT s3_key FROM direct_uploads WHERE status = 'pending' AND expires_at > now()`
+  );
+  for (const d of direct.rows) keys.add(d.s3_key);
+
+  return { keys, dirs };
+}
+
+// Fold a flat object listing into units: { id, dir, bytes, objects, lastModified }
+function foldUnits(objects) {
+  const units = new Map();
+  for (const o of objects) {
+    const dir = dirUnitOf(o.key);
+    const id = dir || o.key;
+    const u = units.get(id) || { id, dir: !!dir, bytes: 0, objects: 0, lastModified: null };
+    u.bytes += o.size;
+    u.objects += 1;
+    // a dir is as young as its newest file
+    if (!u.lastModified || (o.lastModified && o.lastModified > u.lastModified)) u.lastModified = o.lastModified;
+    units.set(id, u);
+  }
+  return [...units.values()];
+}
+
+function isLive(unit, refs) {
+  if (unit.dir) return refs.dirs.has(unit.id);
+  return refs.keys.has(unit.id);
+}
+
+// Each location is one storage area + the prefixes of it we own
+function location(name, area, prefixes, { skip = [] } = {}) {
+  return {
+    name,
+    bucket: area.bucket,
+    async list() {
+      const out = [];
+      for (const prefix of prefixes) {
+        for await (const o of area.list(prefix)) {
+          if (!skip.some((s) => o.key.startsWith(s))) out.push(o);
+        }
+      }
+      return out;
+    },
+    async remove(unit) {
+      if (unit.dir) await area.deletePrefix(unit.id);
+      else await area.delete(unit.id);
+    },
+  };
+}
+
+/**
+ * Run one reconciliation pass. Deletes only when `deleteOrphans` is true, and
+ * only orphans whose newest object is older than `graceHours`.
+ */
+export async function runStorageGc({
+  pool,
+  media = defaultMedia,
+  deleteOrphans = false,
+  graceHours = STORAGE_GC_GRACE_HOURS,
+  log = (...a) => console.error("[storage-gc]", ...a),
+} = {}) {
+  if (!pool) throw new Error("runStorageGc: missing pool");
+
+  // an empty videoKeyPrefix (local) already lists private/
+  const videoPrefixes = media.videoKeyPrefix
+    ? [media.videoKeyPrefix, `${PRIVATE_PREFIX}${media.videoKeyPrefix}`]
+    : [""];
+
+  const locations = [
+    // resumable upload sessions are cleaned up by their own sweeper (resumableUploads.js)
+    location("videos", media.videos, videoPrefixes, { skip: ["sessions/"] }),
+    location("uploads", media.uploads, ["hls/", "captions/", `${PRIVATE_PREFIX}hls/`, `${PRIVATE_PREFIX}captions/`]),
+    location("thumbs", media.thumbs, [""]),
+  ];
+
+  const refs = await loadReferences(pool);
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+
+  const report = {
+    mode: media.driver,
+    deleteOrphans,
+    graceHours,
+    scanned: 0,
+    orphans: [],
+    totals: { orphans: 0, bytes: 0, deleted: 0, deletedBytes: 0, failed: 0 },
+  };
+
+  for (const loc of locations) {
+    log("scanning", { location: loc.name, bucket: loc.bucket });
+    const units = foldUnits(await loc.list());
+    report.scanned += units.length;
+
+    for (const unit of units) {
+      if (isLive(unit, refs)) continue;
+
+      const old = !unit.lastModified || new Date(unit.lastModified).getTime() < cutoff;
+      const orphan = {
+        location: loc.name,
+        ...(loc.bucket ? { bucket: loc.bucket } : {}),
+        [unit.dir ? "prefix" : "key"]: unit.id,
+        objects: unit.objects,
+        bytes: unit.bytes,
+        lastModified: unit.lastModified,
+        withinGrace: !old,
+        deleted: false,
+      };
+
+      if (deleteOrphans && old) {
+        try {
+          await loc.remove(unit);
+          orphan.deleted = true;
+          report.totals.deleted += 1;
+          report.totals.deletedBytes += unit.bytes;
+        } catch (e) {
+          orphan.error = e?.message || String(e);
+          report.totals.failed += 1;
+          log("delete failed", { location: loc.name, id: unit.id, error: orphan.error });
+        }
+      }
+
+      report.orphans.push(orphan);
+      report.totals.orphans += 1;
+      report.totals.bytes += unit.bytes;
+    }
+  }
+
+  log("done", report.totals);
+  return report;
+}
+
+// CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const args = process.argv.slice(2);
+  const graceArg = args.find((a) => a.startsWith("--grace-hours="));
+  const graceHours = graceArg ? Number(graceArg.split("=")[1]) : STORAGE_GC_GRACE_HOURS;
+  if (!Number.isFinite(graceHours) || graceHours < 0) {
+    console.error("[storage-gc] --grace-hours must be a number >= 0");
+    process.exit(2);
+  }
+
+  const { pool } = await import("./db.js");
+  try {
+    const report = await runStorageGc({
+      pool,
+      deleteOrphans: args.includes("--delete"),
+      graceHours,
+    });
+    process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+    process.exitCode = report.totals.failed ? 1 : 0;
+  } catch (e) {
+    console.error("[storage-gc] failed:", e?.message || e);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
@@ -0,0 +1,105 @@
+// server/src/storyboard.js
+import fs from "fs";
+import path from "path";
+import { runFfmpeg, even } from "./ffmpeg.js";
+
+/**
+ * Seek-bar preview thumbnails.
+ *
+ * One frame every STORYBOARD_INTERVAL_SECONDS (default 5) is scaled to
+ * STORYBOARD_TILE_WIDTH (default 160) and tiled into sprite sheets of
+ * STORYBOARD_COLUMNS x STORYBOARD_ROWS (default 10x10). thumbnails.vtt maps each
+ * time range to a tile with the media-fragment syntax players understand:
+ *
+ *   00:00:05.000 --> 00:00:10.000
+ *   storyboard/sprite_000.jpg#xywh=160,0,160,90
+ *
+ * Sprite paths are relative to the .vtt, so the same files work from S3/CDN and
+ * from the local /videos/:id/hls/* route.
+ */
+
+export const STORYBOARD_VTT_NAME = "thumbnails.vtt";
+const SPRITE_DIR = "storyboard";
+
+const INTERVAL_SECONDS = Math.max(1, Number(process.env.STORYBOARD_INTERVAL_SECONDS || 5));
+const TILE_WIDTH = Math.max(32, Number(process.env.STORYBOARD_TILE_WIDTH || 160));
+const COLUMNS = Math.max(1, Number(process.env.STORYBOARD_COLUMNS || 10));
+const ROWS = Math.max(1, Number(process.env.STORYBOARD_ROWS || 10));
+// long videos get a wider interval instead of hundreds of sheets
+const MAX_FRAMES = Math.max(COLUMNS * ROWS, Number(process.env.STORYBOARD_MAX_FRAMES || 1000));
+
+// 65.5 -> "00:01:05.500"
+function vttTimestamp(seconds) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Write <outDir>/storyboard/sprite_NNN.jpg + <outDir>/thumbnails.vtt.
+ * Needs mediaInfo (duration + dimensions) from probeMediaInfo; returns null for
+ * audio-only or unknown-duration input, throws if ffmpeg fails.
+ */
+export async function generateStoryboard(inputPath, outDir, { mediaInfo } = {}) {
+  const duration = Number(mediaInfo?.durationSeconds);
+  if (!mediaInfo?.hasVideo || !Number.isFinite(duration) || duration <= 0) return null;
+
+  const interval = Math.max(INTERVAL_SECONDS, Math.ceil(duration / MAX_FRAMES));
+  const frameCount = Math.max(1, Math.ceil(duration / interval));
+
+  const w = Number(mediaInfo.width);
+  const h = Number(mediaInfo.height);
+  const tileWidth = even(TILE_WIDTH);
+  const tileHeight = w > 0 && h > 0 ? even((tileWidth * h) / w) : even((tileWidth * 9) / 16);
+
+  const spriteDir = path.join(outDir, SPRITE_DIR);
+  fs.rmSync(spriteDir, { recursive: true, force: true });
+  fs.mkdirSync(spriteDir, { recursive: true });
+
+  await runFfmpeg([
+    "-y",
+    "-hide_banner",
+    "-loglevel", "error",
+    "-i", inputPath,
+    "-an", "-sn",
+    "-vf", `fps=1/${interval},scale=${tileWidth}:${tileHeight},setsar=1,tile=${COLUMNS}x${ROWS}`,
+    "-frames:v", String(Math.ceil(frameCount / (COLUMNS * ROWS))),
+    "-q:v", "5",
+    "-start_number", "0",
+    path.join(spriteDir, "sprite_%03d.jpg"),
+  ]);
+
+  const sheets = fs
+    .readdirSync(spriteDir)
+    .filter((f) => /^sprite_\d+\.jpg$/.test(f))
+    .sort();
+  if (!sheets.length) throw new Error("storyboard: ffmpeg wrote no sprite sheets");
+
+  const perSheet = COLUMNS * ROWS;
+  const cues = ["WEBVTT", ""];
+  for (let i = 0; i < Math.min(frameCount, sheets.length * perSheet); i++) {
+    const sheet = sheets[Math.floor(i / perSheet)];
+    const n = i % perSheet;
+    const x = (n % COLUMNS) * tileWidth;
+    const y = Math.floor(n / COLUMNS) * tileHeight;
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration);
+
+    cues.push(`${vttTimestamp(start)} --> ${vttTimestamp(end)}`);
+    cues.push(`${SPRITE_DIR}/${sheet}#xywh=${x},${y},${tileWidth},${tileHeight}`);
+    cues.push("");
+  }
+
+  fs.writeFileSync(path.join(outDir, STORYBOARD_VTT_NAME), cues.join("\n"));
+
+  return {
+    sheets: sheets.length,
+    frames: Math.min(frameCount, sheets.length * perSheet),
+    interval,
+    tileWidth,
+    tileHeight,
+  };
+}
@@ -0,0 +1,294 @@
+// server/src/thumbnails.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import multer from "multer";
+import { probeMediaInfo } from "./mediaProbe.js";
+import { runFfmpeg } from "./ffmpeg.js";
+
+/**
+ * Video thumbnails the owner can change.
+ *
+ *   GET  /api/videos/:id/thumbnails   owner-only: current thumb + ingest candidates
+ *   POST /api/videos/:id/thumbnail    owner-only: { candidate: <index> }
+ *                                     or multipart field "thumb" (JPEG/PNG)
+ *
+ * Ingest writes THUMB_CANDIDATES (default 5) evenly spaced frames as
+ * thumbs/<userId>/<base>_c<n>.jpg and records them in videos.thumb_candidates.
+ * Whatever the owner picks is letterboxed to 16:9 and written in every
+ * THUMB_SIZES size as <stem>_<w>x<h>.jpg; videos.thumb points at the largest.
+ * Keys live in the media.thumbs storage area.
+ */
+
+export const THUMB_SIZES = [
+  { width: 1280, height: 720 },
+  { width: 640, height: 360 },
+  { width: 320, height: 180 },
+];
+
+const CANDIDATE_COUNT = Math.max(1, Math.min(10, Number(process.env.THUMB_CANDIDATES || 5)));
+const UPLOAD_MAX_BYTES = Number(process.env.THUMB_UPLOAD_MAX_BYTES || 5 * 1024 * 1024);
+const MIN_WIDTH = 320;
+const MIN_HEIGHT = 180;
+const PLACEHOLDER = "placeholder.jpg";
+
+// "thumbs/1/x_1280x720.jpg" -> every size key of that thumb; anything else -> [thumb]
+export function thumbSizeKeys(thumb) {
+  const key = String(thumb || "");
+  const { width, height } = THUMB_SIZES[0];
+  const suffix = `_${width}x${height}.jpg`;
+  if (!key.endsWith(suffix)) return key ? [key] : [];
+
+  const stem = key.slice(0, -suffix.length);
+  return THUMB_SIZES.map((s) => `${stem}_${s.width}x${s.height}.jpg`);
+}
+
+/**
+ * Grab `count` frames spread over the video into THUMB_DIR.
+ * Returns [{ key, second }] for the frames that worked (possibly empty).
+ */
+export async function generateThumbnailCandidates(inputPath, thumbDir, { keyPrefix, durationSeconds, count = CANDIDATE_COUNT }) {
+  const duration = Number(durationSeconds);
+  if (!Number.isFinite(duration) || duration <= 0) return [];
+
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const second = Math.round(((duration * (i + 1)) / (count + 1)) * 100) / 100;
+    const key = `${keyPrefix}_c${i}.jpg`;
+    const filePath = path.join(thumbDir, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    try {
+      await runFfmpeg([
+        "-y",
+        "-hide_banner",
+        "-loglevel", "error",
+        "-ss", String(second),
+        "-i", inputPath,
+        "-frames:v", "1",
+        "-vf", "scale=640:-2",
+        "-q:v", "3",
+        filePath,
+      ]);
+      if (fs.existsSync(filePath) && fs.statSync(filePath).size > 0) out.push({ key, second });
+    } catch (e) {
+      console.warn("thumbnail candidate failed:", { second, error: e?.message });
+      try { fs.rmSync(filePath, { force: true }); } catch {}
+    }
+  }
+  return out;
+}
+
+// Letterbox an image into every THUMB_SIZES size; returns [{ key, filePath, width, height }]
+async function writeStandardThumbs(srcPath, thumbDir, stem) {
+  const out = [];
+  for (const { width, height } of THUMB_SIZES) {
+    const key = `${stem}_${width}x${height}.jpg`;
+    const filePath = path.join(thumbDir, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    await runFfmpeg([
+      "-y",
+      "-hide_banner",
+      "-loglevel", "error",
+      "-i", srcPath,
+      "-frames:v", "1",
+      "-vf",
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1`,
+      "-q:v", "3",
+      filePath,
+    ]);
+    out.push({ key, filePath, width, height });
+  }
+  return out;
+}
+
+// JPEG: FF D8 FF, PNG: 89 50 4E 47 0D 0A 1A 0A
+function sniffImageType(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buf = Buffer.alloc(8);
+    fs.readSync(fd, buf, 0, 8, 0);
+    if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "jpeg";
+    if (buf.equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "png";
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+export function registerThumbnails(app, deps = {}) {
+  const {
+    pool,
+    requireAuth,
+    fetchVideoById,
+    toApiVideo,
+    thumbUrlFor,
+    media,
+  } = deps;
+
+  if (!pool) throw new Error("registerThumbnails: missing pool");
+  if (!requireAuth) throw new Error("registerThumbnails: missing requireAuth");
+  if (!fetchVideoById || !toApiVideo || !thumbUrlFor) {
+    throw new Error("registerThumbnails: missing video helpers");
+  }
+  if (!media) throw new Error("registerThumbnails: missing media storage");
+
+  const INCOMING_DIR = path.join(os.tmpdir(), "mytube-thumb-uploads");
+  fs.mkdirSync(INCOMING_DIR, { recursive: true });
+
+  const thumbUpload = multer({
+    dest: INCOMING_DIR,
+    limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+  });
+
+  async function loadOwnVideo(req, res) {
+    const r = await pool.query(
+      `SELECT id, user_id, thumb, thumb_candidates FROM videos WHERE id::text = $1::text AND deleted_at IS NULL LIMIT 1`,
+      [String(req.params.id || "")]
+    );
+    const v = r.rows[0];
+    if (!v) {
+      res.status(404).json({ error: "Video not found" });
+      return null;
+    }
+    if (Number(v.user_id) !== Number(req.user.id)) {
+      res.status(403).json({ error: "Not allowed" });
+      return null;
+    }
+    return v;
+  }
+
+  async function removeThumbKeys(keys) {
+    for (const key of keys) {
+      if (!key || key === PLACEHOLDER) continue;
+      try {
+        await media.thumbs.delete(key);
+      } catch (e) {
+        console.warn("thumbnail cleanup failed:", { key, error: e?.message });
+      }
+    }
+  }
+
+  // resize srcPath into the standard sizes, store them, point the video at them, drop the old thumb
+  async function replaceThumb(v, srcPath) {
+    const stem = `thumbs/${v.user_id}/${v.id}-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const workDir = fs.mkdtempSync(path.join(INCOMING_DIR, "sizes-"));
+
+    let written;
+    try {
+      written = await writeStandardThumbs(srcPath, workDir, stem);
+      for (const t of written) {
+        await media.thumbs.put(t.key, t.filePath, { contentType: "image/jpeg" });
+      }
+    } catch (e) {
+      // a half-stored set is useless; nothing points at it yet
+      for (const t of written || []) await media.thumbs.delete(t.key).catch(() => {});
+      throw e;
+    } finally {
+      try { fs.rmSync(workDir, { recursive: true, force: true }); } catch {}
+    }
+
+    const newThumb = written[0].key;
+    await pool.query(`UPDATE videos SET thumb = $2, updated_at = now() WHERE id = $1`, [v.id, newThumb]);
+
+    // candidates stay around so the owner can switch back
+    const keep = new Set((v.thumb_candidates || []).map((c) => c.key));
+    await removeThumbKeys(thumbSizeKeys(v.thumb).filter((k) => !keep.has(k)));
+
+    return newThumb;
+  }
+
+  app.get("/api/videos/:id/thumbnails", requireAuth, async (req, res) => {
+    try {
+      const v = await loadOwnVideo(req, res);
+      if (!v) return;
+
+      const candidates = (Array.isArray(v.thumb_candidates) ? v.thumb_candidates : []).map((c, index) => ({
+        index,
+        second: c.second ?? null,
+        url: thumbUrlFor(req, c.key),
+      }));
+
+      return res.json({
+        thumbUrl: thumbUrlFor(req, v.thumb),
+        sizes: THUMB_SIZES,
+        candidates,
+      });
+    } catch (e) {
+      console.error("GET /api/videos/:id/thumbnails error:", e);
+      return res.status(500).json({ error: "Failed to load thumbnails" });
+    }
+  });
+
+  app.post(
+    "/api/videos/:id/thumbnail",
+    requireAuth,
+    (req, res, next) => {
+      thumbUpload.single("thumb")(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "Thumbnail too large" });
+        return res.status(400).json({ error: err.message || "Bad thumbnail upload" });
+      });
+    },
+    async (req, res) => {
+      const uploaded = req.file?.path || null;
+      let scratch = null;
+
+      try {
+        const v = await loadOwnVideo(req, res);
+        if (!v) return;
+
+        let srcPath = null;
+
+        if (uploaded) {
+          const kind = sniffImageType(uploaded);
+          if (!kind) return res.status(400).json({ error: "Thumbnail must be a JPEG or PNG image" });
+
+          let info = null;
+          try {
+            info = await probeMediaInfo(uploaded);
+          } catch {
+            return res.status(400).json({ error: "Thumbnail image could not be read" });
+          }
+          if (!(info?.width >= MIN_WIDTH && info?.height >= MIN_HEIGHT)) {
+            return res.status(400).json({
+              error: `Thumbnail must be at least ${MIN_WIDTH}x${MIN_HEIGHT}`,
+              width: info?.width ?? null,
+              height: info?.height ?? null,
+            });
+          }
+          srcPath = uploaded;
+        } else if (req.body?.candidate !== undefined) {
+          const index = Number(req.body.candidate);
+          const candidates = Array.isArray(v.thumb_candidates) ? v.thumb_candidates : [];
+          const c = Number.isInteger(index) ? candidates[index] : null;
+          if (!c?.key) return res.status(400).json({ error: "Unknown thumbnail candidate" });
+
+          if (!(await media.thumbs.stat(c.key))) {
+            return res.status(409).json({ error: "Candidate file is missing" });
+          }
+          scratch = path.join(INCOMING_DIR, `${crypto.randomBytes(8).toString("hex")}.jpg`);
+          await media.thumbs.download(c.key, scratch);
+          srcPath = scratch;
+        } else {
+          return res.status(400).json({ error: 'Send a "thumb" image file or { candidate: <index> }' });
+        }
+
+        await replaceThumb(v, srcPath);
+
+        const full = await fetchVideoById(v.id);
+        return res.json({ ok: true, video: await toApiVideo(req, full) });
+      } catch (e) {
+        console.error("POST /api/videos/:id/thumbnail error:", e);
+        return res.status(500).json({ error: "Failed to update thumbnail" });
+      } finally {
+        for (const f of [uploaded, scratch]) {
+          if (f) try { fs.rmSync(f, { force: true }); } catch {}
+        }
+      }
+    }
+  );
+}
@@ -0,0 +1,220 @@
+// server/src/trash.js
+
+/**
+ * Trash for soft-deleted videos (videos.deleted_at, see migrations/013_video_trash.sql).
+ *
+ *   GET    /api/me/trash              owner's trashed videos, newest first
+ *   POST   /api/me/trash/:id/restore  owner-only, puts the video back
+ *   DELETE /api/me/trash/:id          owner-only, purges row + storage now
+ *
+ * Trashed media is moved under private/ (a repackage job) so its public URLs stop
+ * working; restoring moves it back.
+ *
+ * The sweeper purges everything trashed longer than TRASH_RETENTION_DAYS
+ * (default 30, fractions allowed: 0.5 = 12 hours) every TRASH_SWEEP_MINUTES
+ * (default 60). TRASH_SWEEPER=0 turns it off for processes that shouldn't touch storage.
+ */
+
+// unset or empty means the default; anything else must be a number of days >= 0
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS?.trim() || 30);
+if (!Number.isFinite(TRASH_RETENTION_DAYS) || TRASH_RETENTION_DAYS < 0) {
+  throw new Error(`Invalid TRASH_RETENTION_DAYS: ${process.env.TRASH_RETENTION_DAYS} (use a number of days >= 0)`);
+}
+const SWEEP_MS = Math.max(1, Number(process.env.TRASH_SWEEP_MINUTES || 60)) * 60 * 1000;
+const SWEEP_BATCH = 50;
+
+export function trashPurgeAt(deletedAt) {
+  if (!deletedAt) return null;
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+export function registerTrash(app, deps = {}) {
+  const { pool, requireAuth, toApiVideo, purgeVideo, fetchVideoById, enqueueRepackageIfNeeded } = deps;
+
+  if (!pool) throw new Error("registerTrash: missing pool");
+  if (!requireAuth) throw new Error("registerTrash: missing requireAuth");
+  if (!toApiVideo) throw new Error("registerTrash: missing toApiVideo");
+  if (!purgeVideo) throw new Error("registerTrash: missing purgeVideo");
+  if (!fetchVideoById) throw new Error("registerTrash: missing fetchVideoById");
+  if (!enqueueRepackageIfNeeded) throw new Error("registerTrash: missing enqueueRepackageIfNeeded");
+
+  async function loadTrashed(req, res) {
+    const r = await pool.query(
+      `SELECT id, user_id FROM videos WHERE id::text = $1::text AND deleted_at IS NOT NULL LIMIT 1`,
+      [String(req.params.id || "")]
+    );
+    const v = r.rows[0];
+    if (!v) {
+      res.status(404).json({ error: "Video not in trash" });
+      return null;
+    }
+    if (Number(v.user_id) !== Number(req.user.id)) {
+      res.status(403).json({ error: "Not allowed" });
+      return null;
+    }
+    return v;
+  }
+
+  // -------------------------
+  // GET /api/me/trash
+  // -------------------------
+  app.get("/api/me/trash", requireAuth, async (req, res) => {
+    try {
+      const r = await pool.query(
+        `
+        SELECT
+          v.id,
+          v.user_id,
+          v.title,
+          v.description,
+          v.category,
+          v.visibility,
+          v.media_type,
+          v.asset_scope,
+          v.filename,
+          v.thumb,
+          v.packaging,
+          v.has_storyboard,
+          (v.hls_key IS NOT NULL) AS hls_encrypted,
+          v.duration_text,
+          v.views,
+          v.tags,
+          c.name AS category_name,
+          v.created_at AS "createdAt",
+          v.updated_at AS "updatedAt",
+          v.deleted_at,
+          u.username AS channel_username,
+          COALESCE(p.display_name, '') AS channel_display_name
+        FROM videos v
+        JOIN users u ON u.id = v.user_id
+        LEFT JOIN user_profiles p ON p.user_id = u.id
+        LEFT JOIN categories c ON c.slug = v.category
+        WHERE v.user_id = $1
+          AND v.deleted_at IS NOT NULL
+        ORDER BY v.deleted_at DESC
+        `,
+        [Number(req.user.id)]
+      );
+
+      const items = await Promise.all(
+        r.rows.map(async (v) => ({
+          ...(await toApiVideo(req, v)),
+          deletedAt: v.deleted_at,
+          purgeAt: trashPurgeAt(v.deleted_at),
+        }))
+      );
+
+      res.json({ retentionDays: TRASH_RETENTION_DAYS, items });
+    } catch (e) {
+      console.error("GET /api/me/trash error:", e);
+      res.status(500).json({ error: "Failed to load trash" });
+    }
+  });
+
+  // -------------------------
+  // POST /api/me/trash/:id/restore
+  // -------------------------
+  app.post("/api/me/trash/:id/restore", requireAuth, async (req, res) => {
+    try {
+      const v = await loadTrashed(req, res);
+      if (!v) return;
+
+      const r = await pool.query(
+        `
+        UPDATE videos
+        SET deleted_at = NULL, updated_at = now()
+        WHERE id::text = $1::text AND deleted_at IS NOT NULL
+        RETURNING id
+        `,
+        [String(v.id)]
+      );
+      // the sweeper got there first
+      if (!r.rows[0]) return res.status(404).json({ error: "Video not in trash" });
+
+      // public media goes back out of private/
+      const restored = await fetchVideoById(v.id);
+      const job = restored ? await enqueueRepackageIfNeeded(restored) : null;
+
+      res.json({ ok: true, id: String(v.id), ...(job ? { repackageJobId: job.id } : {}) });
+    } catch (e) {
+      console.error("POST /api/me/trash/:id/restore error:", e);
+      res.status(500).json({ error: "Failed to restore video" });
+    }
+  });
+
+  // -------------------------
+  // DELETE /api/me/trash/:id
+  // -------------------------
+  app.delete("/api/me/trash/:id", requireAuth, async (req, res) => {
+    try {
+      const v = await loadTrashed(req, res);
+      if (!v) return;
+
+      const purged = await purgeVideo(v.id);
+      if (!purged) return res.status(404).json({ error: "Video not in trash" });
+
+      res.json({ ok: true, id: String(v.id) });
+    } catch (e) {
+      console.error("DELETE /api/me/trash/:id error:", e);
+      res.status(500).json({ error: "Failed to delete video" });
+    }
+  });
+
+  // -------------------------
+  // Sweeper
+  // -------------------------
+  let timer = null;
+  let busy = false;
+
+  async function sweep() {
+    if (busy) return;
+    busy = true;
+
+    try {
+      for (;;) {
+        const r = await pool.query(
+          `
+          SELECT id
+          FROM videos
+          WHERE deleted_at IS NOT NULL
+            AND deleted_at < now() - $1::float8 * interval '1 day'
+          ORDER BY deleted_at ASC
+          LIMIT $2
+          `,
+          [TRASH_RETENTION_DAYS, SWEEP_BATCH]
+        );
+        if (!r.rows.length) break;
+
+        let failed = 0;
+        for (const row of r.rows) {
+          try {
+            await purgeVideo(row.id);
+          } catch (e) {
+            failed++;
+            console.error(`[trash] purge ${row.id} failed:`, e?.message || e);
+          }
+        }
+        // failures stay in the trash; retry them next interval instead of spinning
+        if (failed || r.rows.length < SWEEP_BATCH) break;
+      }
+    } catch (e) {
+      console.error("[trash] sweep error:", e?.message || e);
+    } finally {
+      busy = false;
+    }
+  }
+
+  function startTrashSweeper() {
+    if (timer) return;
+    if (process.env.TRASH_SWEEPER === "0") {
+      console.log("[trash] sweeper disabled (TRASH_SWEEPER=0)");
+      return;
+    }
+
+    timer = setInterval(sweep, SWEEP_MS);
+    console.log(`[trash] sweeper started (retention ${TRASH_RETENTION_DAYS}d, every ${SWEEP_MS / 60000}min)`);
+    sweep();
+  }
+
+  return { startTrashSweeper };
+}
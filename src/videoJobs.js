@@ -0,0 +1,255 @@
+// server/src/videoJobs.js
+import { v4 as uuid } from "uuid";
+
+/**
+ * Postgres-backed background job queue for media processing.
+ *
+ * Rows live in `video_jobs` (see migrations/002_video_jobs.sql) so queued work
+ * survives restarts. The worker claims one job at a time with
+ * FOR UPDATE SKIP LOCKED, which also makes it safe to run several server
+ * instances against the same database.
+ *
+ * States: queued -> processing -> ready | failed
+ * A failed attempt goes back to "queued" with a backoff until max_attempts.
+ * While a handler runs, locked_at is refreshed every VIDEO_JOB_HEARTBEAT_SECONDS,
+ * so only jobs whose worker actually died go stale and get claimed again.
+ */
+
+const POLL_MS = Number(process.env.VIDEO_JOB_POLL_MS || 2000);
+const MAX_ATTEMPTS = Number(process.env.VIDEO_JOB_MAX_ATTEMPTS || 3);
+const STALE_MINUTES = Number(process.env.VIDEO_JOB_STALE_MINUTES || 30);
+const RETRY_BASE_SECONDS = Number(process.env.VIDEO_JOB_RETRY_SECONDS || 30);
+const HEARTBEAT_SECONDS = Number(process.env.VIDEO_JOB_HEARTBEAT_SECONDS || 60);
+
+function toApiJob(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    attempts: Number(job.attempts || 0),
+    maxAttempts: Number(job.max_attempts || 0),
+    error: job.status === "failed" ? job.error || "Processing failed" : null,
+    videoId: job.video_id || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+  };
+}
+
+export function registerVideoJobs(app, deps = {}) {
+  const { pool, requireAuth, handlers, fetchVideoById, toApiVideo } = deps;
+
+  if (!pool) throw new Error("registerVideoJobs: missing pool");
+  if (!requireAuth) throw new Error("registerVideoJobs: missing requireAuth");
+  if (!handlers) throw new Error("registerVideoJobs: missing handlers");
+  if (!fetchVideoById) throw new Error("registerVideoJobs: missing fetchVideoById");
+  if (!toApiVideo) throw new Error("registerVideoJobs: missing toApiVideo");
+
+  // -------------------------
+  // Queue
+  // -------------------------
+  async function enqueueVideoJob({ userId, kind, payload }) {
+    if (!handlers[kind]) throw new Error(`Unknown video job kind: ${kind}`);
+
+    const r = await pool.query(
+      `
+      INSERT INTO video_jobs (id, user_id, kind, status, payload, max_attempts)
+      VALUES ($1, $2, $3, 'queued', $4::jsonb, $5)
+      RETURNING *
+      `,
+      [uuid(), userId, kind, JSON.stringify(payload || {}), MAX_ATTEMPTS]
+    );
+
+    // don't wait for the next poll
+    setImmediate(tick);
+
+    return r.rows[0];
+  }
+
+  async function claimNextJob() {
+    // jobs whose worker died mid-run and are out of attempts are never coming back
+    await pool.query(
+      `
+      UPDATE video_jobs
+      SET status = 'failed',
+          error = COALESCE(error, 'Worker stopped while processing'),
+          locked_at = NULL,
+          updated_at = now()
+      WHERE status = 'processing'
+        AND locked_at < now() - ($1 || ' minutes')::interval
+        AND attempts >= max_attempts
+      `,
+      [STALE_MINUTES]
+    );
+
+    const r = await pool.query(
+      `
+      UPDATE video_jobs
+      SET status = 'processing',
+          attempts = attempts + 1,
+          locked_at = now(),
+          updated_at = now()
+      WHERE id = (
+        SELECT id
+        FROM video_jobs
+        WHERE (status = 'queued' AND run_after <= now())
+           OR (
+             status = 'processing'
+             AND locked_at < now() - ($1 || ' minutes')::interval
+             AND attempts < max_attempts
+           )
+        ORDER BY created_at ASC
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+      `,
+      [STALE_MINUTES]
+    );
+
+    return r.rows[0] || null;
+  }
+
+  async function runJob(job) {
+    const handler = handlers[job.kind];
+    const t0 = Date.now();
+    console.log(`[job ${job.id}] start kind=${job.kind} attempt=${job.attempts}/${job.max_attempts}`);
+
+    // still alive: keep the stale reclaim off this job
+    const heartbeat = setInterval(() => {
+      pool
+        .query(
+          `UPDATE video_jobs SET locked_at = now() WHERE id = $1 AND status = 'processing'`,
+          [job.id]
+        )
+        .catch((e) => console.error(`[job ${job.id}] heartbeat failed:`, e?.message || e));
+    }, HEARTBEAT_SECONDS * 1000);
+    heartbeat.unref?.();
+
+    try {
+      if (!handler) throw new Error(`Unknown video job kind: ${job.kind}`);
+
+      const result = await handler.run(job);
+
+      await pool.query(
+        `
+        UPDATE video_jobs
+        SET status = 'ready',
+            video_id = $2,
+            error = NULL,
+            locked_at = NULL,
+            updated_at = now()
+        WHERE id = $1
+        `,
+        [job.id, result?.videoId != null ? String(result.videoId) : null]
+      );
+
+      console.log(`[job ${job.id}] ready in ${Date.now() - t0}ms`, { videoId: result?.videoId });
+    } catch (e) {
+      const final = Number(job.attempts) >= Number(job.max_attempts);
+      console.error(`[job ${job.id}] attempt ${job.attempts} failed${final ? " (giving up)" : ""}:`, e?.stack || e);
+
+      // exponential backoff: 30s, 60s, 120s...
+      const delaySeconds = RETRY_BASE_SECONDS * 2 ** Math.max(0, Number(job.attempts) - 1);
+
+      await pool.query(
+        `
+        UPDATE video_jobs
+        SET status = $2,
+            error = $3,
+            locked_at = NULL,
+            run_after = now() + ($4 || ' seconds')::interval,
+            updated_at = now()
+        WHERE id = $1
+        `,
+        [job.id, final ? "failed" : "queued", String(e?.message || e).slice(0, 2000), delaySeconds]
+      );
+
+      if (final && handler?.cleanup) {
+        try {
+          await handler.cleanup(job);
+        } catch (cleanupErr) {
+          console.error(`[job ${job.id}] cleanup failed:`, cleanupErr?.message || cleanupErr);
+        }
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // -------------------------
+  // Worker (one job at a time per process)
+  // -------------------------
+  let busy = false;
+  let timer = null;
+
+  async function tick() {
+    if (busy || !timer) return;
+    busy = true;
+
+    try {
+      for (;;) {
+        const job = await claimNextJob();
+        if (!job) break;
+        await runJob(job);
+      }
+    } catch (e) {
+      console.error("[jobs] worker error:", e?.message || e);
+    } finally {
+      busy = false;
+    }
+  }
+
+  function startVideoJobWorker() {
+    if (timer) return;
+    if (process.env.VIDEO_JOB_WORKER === "0") {
+      console.log("[jobs] in-process worker disabled (VIDEO_JOB_WORKER=0)");
+      return;
+    }
+
+    timer = setInterval(tick, POLL_MS);
+    console.log(`[jobs] worker started (poll ${POLL_MS}ms, max attempts ${MAX_ATTEMPTS})`);
+    tick();
+  }
+
+  // -------------------------
+  // Status polling
+  // GET /api/videos/:id/processing
+  // :id is the job id returned by the upload (the resulting video id works too)
+  // -------------------------
+  app.get("/api/videos/:id/processing", requireAuth, async (req, res) => {
+    try {
+      const id = String(req.params.id || "");
+      const userId = Number(req.user.id);
+
+      const r = await pool.query(
+        `
+        SELECT *
+        FROM video_jobs
+        WHERE id = $1 OR video_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1
+        `,
+        [id]
+      );
+
+      const job = r.rows[0];
+      if (!job || Number(job.user_id) !== userId) {
+        return res.status(404).json({ error: "Not found" });
+      }
+
+      const out = toApiJob(job);
+
+      if (job.status === "ready" && job.video_id) {
+        const v = await fetchVideoById(job.video_id);
+        out.video = v ? await toApiVideo(req, v) : null;
+      }
+
+      return res.json(out);
+    } catch (e) {
+      console.error("GET /api/videos/:id/processing error:", e);
+      return res.status(500).json({ error: "Failed to load processing status" });
+    }
+  });
+
+  return { enqueueVideoJob, startVideoJobWorker };
+}